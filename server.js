@@ -2,8 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { runPipeline } from './src/pipeline.js';
+import { enqueueRun, listRuns, getRun, readRunFiles } from './src/jobs/job-queue.js';
+import { createZip } from './src/jobs/zip.js';
 import fs from 'fs/promises';
+import { watch } from 'fs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,32 +15,112 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static('.'));
 
 // API endpoint to run the pipeline
+// Runs are queued and execute one at a time; the response waits for this run.
+// With a token JSON body (DTCG or the sample-tokens.json shape) the pipeline
+// builds those tokens instead of the demo tokens and responds with the generated
+// files: as JSON by default, or as a zip with ?format=zip or Accept: application/zip
 app.post('/api/run-pipeline', async (req, res) => {
-  try {
-    console.log('📡 API: Starting pipeline execution...');
+  const payload = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+  const { job, done } = enqueueRun(payload ? { tokens: payload } : { method: 'mock' });
+  console.log(`📡 API: Queued ${payload ? 'payload' : 'pipeline'} run ${job.id}`);
 
-    // Run the pipeline
-    await runPipeline({ method: 'mock' });
+  const run = await done;
 
-    console.log('✅ API: Pipeline completed successfully');
+  if (run.status !== 'succeeded') {
+    console.error(`❌ API: Run ${run.id} failed:`, run.error);
+    return res.status(payload ? 422 : 500).json({
+      success: false,
+      runId: run.id,
+      message: 'Pipeline failed',
+      error: run.error,
+      validation: run.results?.validation
+    });
+  }
 
-    res.json({
+  console.log(`✅ API: Run ${run.id} completed successfully`);
+
+  if (!payload) {
+    return res.json({
       success: true,
+      runId: run.id,
       message: 'Pipeline completed successfully',
-      timestamp: new Date().toISOString()
+      timestamp: run.finishedAt
     });
+  }
+
+  const files = await readRunFiles(run.id);
+
+  if (req.query.format === 'zip' || req.accepts(['json', 'application/zip']) === 'application/zip') {
+    res.set('Content-Disposition', `attachment; filename="tokens-${run.id}.zip"`);
+    return res.type('application/zip').send(createZip(files));
+  }
+
+  res.json({
+    success: true,
+    runId: run.id,
+    message: 'Pipeline completed successfully',
+    timestamp: run.finishedAt,
+    version: run.results.version.version,
+    files: Object.fromEntries(files.map(file => [file.path, file.content.toString('utf-8')]))
+  });
+});
+
+// API endpoint to run the pipeline and stream its progress (Server-Sent Events)
+// GET so the demo can subscribe with EventSource; each request queues one run
+app.get('/api/run-pipeline/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const send = (event) => {
+    if (!closed) res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const { job, done } = enqueueRun({ method: 'mock' }, { onProgress: send });
+  console.log(`📡 API: Queued streamed pipeline run ${job.id}`);
+
+  // The pipeline-complete or pipeline-fail event has been sent by now
+  try {
+    const run = await done;
+    console.log(run.status === 'succeeded'
+      ? `✅ API: Run ${run.id} completed successfully`
+      : `❌ API: Run ${run.id} failed: ${run.error}`);
   } catch (error) {
-    console.error('❌ API: Pipeline failed:', error);
-    res.status(500).json({
+    // Archiving the run failed; the headers are sent, so report it as an event rather than an HTTP error
+    console.error(`❌ API: Run ${job.id} could not be archived:`, error.message);
+    send({ type: 'pipeline-fail', runId: job.id, timestamp: new Date().toISOString(), error: error.message });
+  }
+
+  res.end();
+});
+
+// API endpoint to list pipeline runs, newest first
+app.get('/api/runs', async (req, res) => {
+  res.json(await listRuns());
+});
+
+// API endpoint to get one run with its results and downloadable artifacts
+app.get('/api/runs/:id', async (req, res) => {
+  const run = await getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({
       success: false,
-      message: 'Pipeline failed',
-      error: error.message
+      message: `Run not found: ${req.params.id}`
     });
   }
+
+  res.json(run);
 });
 
 // API endpoint to get extracted tokens
@@ -72,6 +154,49 @@ app.get('/api/output/:format/:filename', async (req, res) => {
   }
 });
 
+// Clients listening for pipeline runs (e.g. from `npm run watch`)
+const eventClients = new Set();
+
+// API endpoint to subscribe to pipeline completion events (Server-Sent Events)
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+
+  eventClients.add(res);
+  req.on('close', () => eventClients.delete(res));
+});
+
+/**
+ * Notify event clients whenever a pipeline run (from any process) writes its results
+ */
+async function watchPipelineResults() {
+  const outputDir = path.join(__dirname, 'output');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  let timer = null;
+  watch(outputDir, (event, filename) => {
+    if (filename !== 'pipeline-results.json') return;
+
+    clearTimeout(timer);
+    timer = setTimeout(async () => {
+      try {
+        const results = await fs.readFile(path.join(outputDir, filename), 'utf-8');
+        const data = JSON.stringify(JSON.parse(results));
+        eventClients.forEach(client => client.write(`event: pipeline-complete\ndata: ${data}\n\n`));
+      } catch {
+        // Results are mid-write; the next change event will pick them up
+      }
+    }, 200);
+  });
+}
+
+await watchPipelineResults();
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -87,7 +212,11 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📊 Demo available at http://localhost:${PORT}`);
   console.log(`🔧 API endpoints:`);
-  console.log(`   POST /api/run-pipeline - Execute the pipeline`);
+  console.log(`   POST /api/run-pipeline - Execute the pipeline (optionally with a token JSON body)`);
+  console.log(`   GET  /api/run-pipeline/stream - Execute the pipeline, streaming progress (SSE)`);
+  console.log(`   GET  /api/runs - List pipeline runs`);
+  console.log(`   GET  /api/runs/:id - Get a run's results and artifacts`);
   console.log(`   GET  /api/tokens - Get extracted tokens`);
   console.log(`   GET  /api/output/:format/:filename - Get output files`);
+  console.log(`   GET  /api/events - Pipeline completion events (SSE)`);
 });
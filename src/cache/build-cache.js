@@ -0,0 +1,232 @@
+/**
+ * Build Cache Module
+ * Content hashes for incremental pipeline runs
+ *
+ * The manifest (<output dir>/.build-manifest.json) records a hash of the extracted
+ * tokens, of the build code (config, transforms and formats, plus the local
+ * modules they import) and of each platform's inputs, so unchanged platforms
+ * can be skipped on the next run.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { flattenTokens } from '../utils/token-tree.js';
+
+const MANIFEST_FILE = '.build-manifest.json';
+
+// Build code entry points; these and every local module they import invalidate every platform
+const BUILD_CODE_ENTRIES = [
+  'style-dictionary.config.js',
+  'src/transform/custom-transforms.js',
+  'src/transform/custom-formats.js',
+  'src/transform/themes.js'
+];
+
+// Relative imports and re-exports, e.g. `import { parseColor } from '../validate/contrast.js'`
+const RELATIVE_IMPORT = /(?:\bfrom\s*|\bimport\s*\(?\s*)['"](\.{1,2}\/[^'"]+)['"]/g;
+
+// Token references inside a value, e.g. "{colors.primary.500}"
+const REFERENCE = /\{([^{}]+)\}/g;
+
+/**
+ * Hash any JSON-like value (functions are hashed by their source)
+ * @param {*} value - Value to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashContent(value) {
+  const content = typeof value === 'string'
+    ? value
+    : JSON.stringify(value, (key, item) => (typeof item === 'function' ? item.toString() : item));
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash normalized tokens, ignoring run-specific metadata (extraction time)
+ * @param {Object} tokens - Normalized tokens
+ * @returns {string} - Hash of the token content
+ */
+export function hashTokens(tokens) {
+  const { metadata, ...content } = tokens;
+  const { extractedAt, ...stableMetadata } = metadata || {};
+
+  return hashContent({ ...content, metadata: stableMetadata });
+}
+
+/**
+ * Hash the source of the build code (config, custom transforms and formats,
+ * and the local modules they import)
+ * @returns {Promise<string>} - Combined hash
+ */
+export async function hashBuildCode() {
+  const sources = await readBuildCode();
+  return hashContent([...sources].map(([file, source]) => `${file}\n${source}`).join('\n'));
+}
+
+/**
+ * List the build code files: the entry points and, recursively, the local modules they import
+ * @returns {Promise<Array>} - File paths relative to the working directory
+ */
+export async function getBuildCodeFiles() {
+  return [...(await readBuildCode()).keys()];
+}
+
+/**
+ * Hash the inputs of one platform: its configuration, the tokens its
+ * file filters select, and the build code
+ * @param {Object} platform - Style Dictionary platform configuration
+ * @param {Object} tokens - Token tree the platform is built from
+ * @param {string} codeHash - Hash from hashBuildCode()
+ * @returns {string} - Platform input hash
+ */
+export function hashPlatform(platform, tokens, codeHash) {
+  return hashContent({
+    platform,
+    tokens: selectPlatformTokens(platform, tokens),
+    codeHash
+  });
+}
+
+/**
+ * List the output files a platform writes
+ * @param {Object} platform - Style Dictionary platform configuration
+ * @returns {Array} - Output file paths
+ */
+export function getPlatformOutputs(platform) {
+  return (platform.files || []).map(file => path.join(platform.buildPath || '', file.destination));
+}
+
+/**
+ * Check whether a platform can be skipped: same input hash as the last
+ * build and all of its output files still exist
+ * @param {Object} manifest - Previous manifest
+ * @param {string} key - Platform key in the manifest
+ * @param {string} hash - Current platform hash
+ * @returns {Promise<boolean>} - True if the platform is up to date
+ */
+export async function isPlatformUpToDate(manifest, key, hash) {
+  const entry = manifest.platforms?.[key];
+  if (!entry || entry.hash !== hash) return false;
+
+  try {
+    await Promise.all(entry.outputs.map(file => fs.access(file)));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load the manifest from the previous run
+ * @param {string} outputDir - Output directory of the build (default: output)
+ * @returns {Promise<Object>} - Manifest, or an empty one
+ */
+export async function loadBuildManifest(outputDir = 'output') {
+  try {
+    return JSON.parse(await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf-8'));
+  } catch {
+    return { platforms: {} };
+  }
+}
+
+/**
+ * Save the manifest for the next run
+ * @param {Object} manifest - Manifest to save
+ * @param {string} outputDir - Output directory of the build (default: output)
+ */
+export async function saveBuildManifest(manifest, outputDir = 'output') {
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Helper: Read the build code, following relative imports from the entry points
+ * @returns {Promise<Map>} - File path → source ('' for a missing file)
+ */
+async function readBuildCode() {
+  const sources = new Map();
+  const pending = [...BUILD_CODE_ENTRIES];
+
+  while (pending.length > 0) {
+    const file = pending.shift();
+    if (sources.has(file)) continue;
+
+    let source = '';
+    try {
+      source = await fs.readFile(path.join(process.cwd(), file), 'utf-8');
+    } catch {
+      // A missing file hashes as empty
+    }
+    sources.set(file, source);
+
+    for (const [, specifier] of source.matchAll(RELATIVE_IMPORT)) {
+      pending.push(path.posix.join(path.posix.dirname(file), specifier));
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Pick the tokens a platform actually uses
+ * When every file has a filter, only tokens matching at least one filter count,
+ * plus every token they reference (directly or through other references), since
+ * filtered-out alias targets still decide the output values. Filters see the
+ * untransformed tokens; a filter that throws on one selects the whole tree
+ */
+function selectPlatformTokens(platform, tokens) {
+  const { metadata, ...tree } = tokens;
+  const files = platform.files || [];
+
+  if (files.length === 0 || files.some(file => !file.filter)) {
+    return tree;
+  }
+
+  // Style Dictionary filters see the path as an array
+  const allTokens = flattenTokens(tree).map(token => ({ ...token, path: token.path.split('.') }));
+
+  let selected;
+  try {
+    selected = allTokens.filter(token => files.some(file => matchesFilter(token, file.filter)));
+  } catch {
+    return tree;
+  }
+
+  return addReferencedTokens(selected, allTokens);
+}
+
+/**
+ * Helper: Apply a Style Dictionary file filter (object or function) to a token
+ */
+function matchesFilter(token, filter) {
+  if (typeof filter === 'function') {
+    return Boolean(filter(token));
+  }
+
+  return Object.entries(filter).every(([key, value]) => token[key] === value);
+}
+
+/**
+ * Helper: Add the tokens the selected tokens reference, following references transitively
+ * @returns {Array} - Selected and referenced tokens, in tree order
+ */
+function addReferencedTokens(selected, allTokens) {
+  const tokensByPath = new Map(allTokens.map(token => [token.path.join('.'), token]));
+  const included = new Set(selected);
+  const pending = [...selected];
+
+  while (pending.length > 0) {
+    const token = pending.pop();
+
+    for (const [, reference] of JSON.stringify([token.value, token.modes]).matchAll(REFERENCE)) {
+      const target = tokensByPath.get(reference);
+      if (target && !included.has(target)) {
+        included.add(target);
+        pending.push(target);
+      }
+    }
+  }
+
+  return allTokens.filter(token => included.has(token));
+}
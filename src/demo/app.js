@@ -3,17 +3,54 @@
  * Loads and displays token data and generated outputs
  */
 
+import { shadowToCss } from '/src/transform/shadows.js';
+
 // State
 let tokensData = null;
 let outputFiles = {};
+let lastRunFinishedAt = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadData();
   setupEventListeners();
   renderAll();
+  listenForRebuilds();
 });
 
+// Reload when the pipeline runs elsewhere (e.g. `npm run watch`)
+function listenForRebuilds() {
+  const events = new EventSource('/api/events');
+
+  events.addEventListener('pipeline-complete', async (e) => {
+    const result = JSON.parse(e.data);
+    const statusEl = document.getElementById('pipeline-status');
+
+    // Runs started from this page are already reloaded by runPipeline
+    if (result.finishedAt === lastRunFinishedAt) return;
+
+    statusEl.classList.remove('hidden', 'running', 'success', 'error');
+
+    if (!result.success) {
+      statusEl.classList.add('error');
+      statusEl.textContent = '✗ Rebuild failed: ' + (result.errors?.[0] || 'unknown error');
+      return;
+    }
+
+    // Cache-bust the generated stylesheets so previews pick up new values
+    for (const href of ['/output/css/variables.css', '/output/css/typography.css']) {
+      const stylesheet = document.querySelector(`link[href^="${href}"]`);
+      stylesheet.href = `${href}?t=${Date.now()}`;
+    }
+
+    await loadData();
+    renderAll();
+
+    statusEl.classList.add('success');
+    statusEl.textContent = `✓ Tokens rebuilt (${new Date(result.finishedAt).toLocaleTimeString()})`;
+  });
+}
+
 // Setup event listeners
 function setupEventListeners() {
   // Run pipeline button
@@ -75,7 +112,8 @@ function renderSourceTokens() {
   const sampleTokens = {
     colors: tokensData.colors?.primary || {},
     typography: tokensData.typography?.fontSize || {},
-    spacing: { xs: '4px', sm: '8px', md: '16px', lg: '24px' }
+    spacing: tokensData.spacing || {},
+    borderRadius: tokensData.borderRadius || {}
   };
   container.textContent = JSON.stringify(sampleTokens, null, 2);
 }
@@ -95,24 +133,11 @@ function renderColorPreview() {
 
   if (!tokensData.colors) return;
 
-  const colors = [];
-
-  // Flatten colors
-  function extractColors(obj, prefix = '') {
-    for (const [key, value] of Object.entries(obj)) {
-      const name = prefix ? `${prefix}-${key}` : key;
-      if (value.value && value.type === 'color') {
-        colors.push({ name, value: value.value, description: value.description });
-      } else if (typeof value === 'object' && !value.value) {
-        extractColors(value, name);
-      }
-    }
-  }
-
-  extractColors(tokensData.colors);
+  const colors = collectTokens(tokensData.colors, 'color');
+  const gradients = collectTokens(tokensData.colors, 'gradient');
 
-  // Render first 12 colors
-  colors.slice(0, 12).forEach(color => {
+  // Render the first 12 colors, then the gradients
+  [...colors.slice(0, 12), ...gradients].forEach(color => {
     const swatch = document.createElement('div');
     swatch.className = 'color-swatch';
     swatch.innerHTML = `
@@ -131,6 +156,21 @@ function renderTypographyPreview() {
 
   if (!tokensData.typography) return;
 
+  // Text styles use the generated .text-* utility classes
+  const textStyles = collectTokens(tokensData.typography.styles, 'typography');
+  if (textStyles.length > 0) {
+    textStyles.forEach(style => {
+      const sample = document.createElement('div');
+      sample.className = 'typography-sample';
+      sample.innerHTML = `
+        <div class="typography-label">.text-${style.name}</div>
+        <div class="text-${style.name}">The quick brown fox jumps over the lazy dog</div>
+      `;
+      container.appendChild(sample);
+    });
+    return;
+  }
+
   const fontSizes = tokensData.typography.fontSize || {};
 
   Object.entries(fontSizes).slice(0, 5).forEach(([name, token]) => {
@@ -149,17 +189,7 @@ function renderSpacingPreview() {
   const container = document.getElementById('spacing-preview');
   container.innerHTML = '';
 
-  // Use predefined spacing or extract from tokens
-  const spacingValues = [
-    { name: 'xs', value: '4px' },
-    { name: 'sm', value: '8px' },
-    { name: 'md', value: '16px' },
-    { name: 'lg', value: '24px' },
-    { name: 'xl', value: '32px' },
-    { name: '2xl', value: '48px' }
-  ];
-
-  spacingValues.forEach(spacing => {
+  collectTokens(tokensData.spacing, 'dimension').forEach(spacing => {
     const sample = document.createElement('div');
     sample.className = 'spacing-sample';
     sample.innerHTML = `
@@ -175,25 +205,35 @@ function renderShadowPreview() {
   const container = document.getElementById('shadow-preview');
   container.innerHTML = '';
 
-  // Use predefined shadows or extract from tokens
-  const shadows = [
-    { name: 'sm', value: '0 1px 2px 0 rgba(0, 0, 0, 0.05)' },
-    { name: 'md', value: '0 4px 6px -1px rgba(0, 0, 0, 0.1)' },
-    { name: 'lg', value: '0 10px 15px -3px rgba(0, 0, 0, 0.1)' },
-    { name: 'xl', value: '0 20px 25px -5px rgba(0, 0, 0, 0.1)' }
-  ];
-
-  shadows.forEach(shadow => {
+  collectTokens(tokensData.effects, 'shadow').forEach(shadow => {
     const sample = document.createElement('div');
     sample.className = 'shadow-sample';
     sample.innerHTML = `
-      <div class="shadow-box" style="box-shadow: ${shadow.value};"></div>
+      <div class="shadow-box" style="box-shadow: ${shadowToCss(shadow.value)};"></div>
       <div class="shadow-label">${shadow.name}</div>
     `;
     container.appendChild(sample);
   });
 }
 
+// Flatten the tokens of one type in a token group (e.g. all shadows under effects)
+function collectTokens(obj, type, prefix = '') {
+  const tokens = [];
+
+  for (const [key, value] of Object.entries(obj || {})) {
+    if (!value || typeof value !== 'object') continue;
+
+    const name = prefix ? `${prefix}-${key}` : key;
+    if (value.value !== undefined) {
+      if (value.type === type) tokens.push({ name, value: value.value });
+    } else {
+      tokens.push(...collectTokens(value, type, name));
+    }
+  }
+
+  return tokens;
+}
+
 // Render statistics
 function renderStatistics() {
   const totalTokens = countTokens(tokensData);
@@ -237,7 +277,7 @@ function switchTab(tab) {
   document.getElementById(`tab-${tab}`).classList.add('active');
 }
 
-// Execute real pipeline via API
+// Execute real pipeline via API, following its progress events
 async function runPipeline() {
   const button = document.getElementById('run-pipeline');
   const statusEl = document.getElementById('pipeline-status');
@@ -248,6 +288,7 @@ async function runPipeline() {
   button.textContent = '⏳ Running...';
 
   // Show progress section
+  resetSteps();
   progressSection.classList.remove('hidden');
 
   // Show status
@@ -256,36 +297,16 @@ async function runPipeline() {
   statusEl.textContent = '🔄 Pipeline running...';
 
   try {
-    // Animate progress steps
-    const steps = [1, 2, 3, 4];
-    const stepAnimation = animateSteps(steps);
-
-    // Call the real API to run the pipeline
-    const response = await fetch('/api/run-pipeline', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const result = await response.json();
-
-    // Wait for animation to complete
-    await stepAnimation;
+    const result = await streamPipeline();
+    lastRunFinishedAt = result.finishedAt;
 
-    if (result.success) {
-      // Success
-      await sleep(500);
-      statusEl.classList.remove('running');
-      statusEl.classList.add('success');
-      statusEl.textContent = '✓ Pipeline completed successfully!';
+    statusEl.classList.remove('running');
+    statusEl.classList.add('success');
+    statusEl.textContent = `✓ Run ${result.runId} completed in ${result.duration}ms (${result.tokenCount} tokens, ${result.fileCount} files)`;
 
-      // Reload data and re-render
-      await loadData();
-      renderAll();
-    } else {
-      throw new Error(result.message || 'Pipeline failed');
-    }
+    // Reload data and re-render
+    await loadData();
+    renderAll();
 
   } catch (error) {
     statusEl.classList.remove('running');
@@ -294,37 +315,79 @@ async function runPipeline() {
   } finally {
     button.disabled = false;
     button.textContent = '▶ Run Pipeline';
-
-    // Hide progress after a delay
-    setTimeout(() => {
-      progressSection.classList.add('hidden');
-      // Reset steps
-      document.querySelectorAll('.progress-step').forEach(step => {
-        step.classList.remove('active', 'complete');
-      });
-    }, 3000);
   }
 }
 
-// Animate progress steps
-async function animateSteps(steps) {
-  for (const step of steps) {
-    // Activate step
-    const stepEl = document.querySelector(`[data-step="${step}"]`);
-    stepEl.classList.add('active');
+// Run the pipeline over SSE, updating the progress steps as events arrive
+function streamPipeline() {
+  return new Promise((resolve, reject) => {
+    const events = new EventSource('/api/run-pipeline/stream');
 
-    // Simulate work
-    await sleep(800);
+    // Another run is in progress; this one starts when it finishes
+    events.addEventListener('run-queued', (e) => {
+      const { position } = JSON.parse(e.data);
+      if (position > 0) {
+        document.getElementById('pipeline-status').textContent = `⏳ Waiting for ${position} earlier run(s) to finish...`;
+      }
+    });
 
-    // Complete step
-    stepEl.classList.remove('active');
-    stepEl.classList.add('complete');
-  }
+    events.addEventListener('step-start', (e) => {
+      const { step, index } = JSON.parse(e.data);
+      getStepEl(step)?.classList.add('active');
+      if (index === 1) {
+        document.getElementById('pipeline-status').textContent = '🔄 Pipeline running...';
+      }
+    });
+
+    events.addEventListener('step-succeed', (e) => {
+      const { step, duration } = JSON.parse(e.data);
+      const stepEl = getStepEl(step);
+      stepEl?.classList.remove('active');
+      stepEl?.classList.add('complete');
+      setStepDuration(stepEl, `${duration}ms`);
+    });
+
+    events.addEventListener('step-fail', (e) => {
+      const { step, duration } = JSON.parse(e.data);
+      const stepEl = getStepEl(step);
+      stepEl?.classList.remove('active');
+      stepEl?.classList.add('failed');
+      setStepDuration(stepEl, `failed after ${duration}ms`);
+    });
+
+    // Close on completion; an open EventSource would reconnect and start another run
+    events.addEventListener('pipeline-complete', (e) => {
+      events.close();
+      resolve(JSON.parse(e.data));
+    });
+
+    events.addEventListener('pipeline-fail', (e) => {
+      events.close();
+      reject(new Error(JSON.parse(e.data).error));
+    });
+
+    events.onerror = () => {
+      events.close();
+      reject(new Error('Lost connection to the server'));
+    };
+  });
+}
+
+// Progress step helpers
+function getStepEl(step) {
+  return document.querySelector(`.progress-step[data-step="${step}"]`);
 }
 
-// Utility: Sleep
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function setStepDuration(stepEl, text) {
+  const durationEl = stepEl?.querySelector('.step-duration');
+  if (durationEl) durationEl.textContent = text;
+}
+
+function resetSteps() {
+  document.querySelectorAll('.progress-step').forEach(step => {
+    step.classList.remove('active', 'complete', 'failed');
+    setStepDuration(step, '');
+  });
 }
 
 // Utility: Format JSON
@@ -0,0 +1,207 @@
+/**
+ * Token Diff Module
+ * Compares two normalized token snapshots and describes what changed:
+ * additions, removals, renames (matched by Figma key) and value changes
+ */
+
+import { flattenTokens } from '../utils/token-tree.js';
+
+/**
+ * Compare two normalized token trees
+ * @param {Object|null} previous - Previous snapshot (null on the first run)
+ * @param {Object} next - New snapshot
+ * @returns {Object} - Diff: { added, removed, renamed, changed, summary }
+ */
+export function diffTokens(previous, next) {
+  const before = new Map(flattenTokens(previous).map(token => [token.path, token]));
+  const after = new Map(flattenTokens(next).map(token => [token.path, token]));
+
+  const diff = {
+    added: [],
+    removed: [],
+    renamed: [],
+    changed: []
+  };
+
+  const removed = [...before.values()].filter(token => !after.has(token.path));
+  const added = [...after.values()].filter(token => !before.has(token.path));
+
+  // Renames: a removed and an added token that share a Figma key
+  const addedByKey = new Map(
+    added.filter(token => token.source?.figmaKey).map(token => [token.source.figmaKey, token])
+  );
+
+  for (const token of removed) {
+    const renamedTo = token.source?.figmaKey && addedByKey.get(token.source.figmaKey);
+
+    if (renamedTo) {
+      addedByKey.delete(token.source.figmaKey);
+      diff.renamed.push({
+        from: token.path,
+        to: renamedTo.path,
+        figmaKey: token.source.figmaKey,
+        valueChanged: !sameValue(token, renamedTo),
+        previous: token.value,
+        value: renamedTo.value
+      });
+    } else {
+      diff.removed.push({ path: token.path, value: token.value, type: token.type });
+    }
+  }
+
+  const renamedPaths = new Set(diff.renamed.map(rename => rename.to));
+  for (const token of added) {
+    if (!renamedPaths.has(token.path)) {
+      diff.added.push({ path: token.path, value: token.value, type: token.type });
+    }
+  }
+
+  for (const token of after.values()) {
+    const old = before.get(token.path);
+    if (old && !sameValue(old, token)) {
+      diff.changed.push({
+        path: token.path,
+        previous: old.value,
+        value: token.value,
+        ...(old.modes || token.modes ? { previousModes: old.modes, modes: token.modes } : {})
+      });
+    }
+  }
+
+  diff.summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    renamed: diff.renamed.length,
+    changed: diff.changed.length,
+    total: diff.added.length + diff.removed.length + diff.renamed.length + diff.changed.length
+  };
+
+  return diff;
+}
+
+/**
+ * Recommend a semantic version bump for a diff
+ * Removals and renames break consumers (major), additions are features (minor)
+ * and value changes are fixes (patch)
+ * @param {Object} diff - Diff from diffTokens()
+ * @returns {string|null} - 'major', 'minor', 'patch', or null when nothing changed
+ */
+export function recommendVersionBump(diff) {
+  if (diff.summary.removed > 0 || diff.summary.renamed > 0) return 'major';
+  if (diff.summary.added > 0) return 'minor';
+  if (diff.summary.changed > 0) return 'patch';
+  return null;
+}
+
+/**
+ * Apply a version bump to a semantic version
+ * @param {string} version - Current version (e.g. "1.4.2")
+ * @param {string|null} bump - 'major', 'minor', 'patch' or null
+ * @returns {string} - Bumped version
+ */
+export function bumpVersion(version, bump) {
+  const [major, minor, patch] = version.split('.').map(Number);
+
+  switch (bump) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    case 'patch':
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      return version;
+  }
+}
+
+/**
+ * Check whether a string is a plain semantic version (x.y.z)
+ * @param {*} version - Value to check
+ * @returns {boolean} - True for "1.2.3"-style versions
+ */
+export function isSemver(version) {
+  return typeof version === 'string' && /^\d+\.\d+\.\d+$/.test(version);
+}
+
+/**
+ * Format a diff as a Markdown changelog entry
+ * @param {Object} diff - Diff from diffTokens()
+ * @param {Object} options - Entry options
+ * @param {string} options.title - Entry heading (default: current timestamp)
+ * @param {boolean} options.initial - Whether this is the first snapshot
+ * @returns {string} - Markdown changelog entry
+ */
+export function formatChangelogEntry(diff, { title = new Date().toISOString(), initial = false } = {}) {
+  let output = `## ${title}\n\n`;
+
+  if (initial) {
+    return output + `Initial token set (${diff.summary.added} tokens).\n\n`;
+  }
+
+  if (diff.summary.total === 0) {
+    return output + 'No token changes.\n\n';
+  }
+
+  if (diff.removed.length > 0) {
+    output += '### Removed\n\n';
+    diff.removed.forEach(token => {
+      output += `- \`${token.path}\` (${formatValue(token.value)})\n`;
+    });
+    output += '\n';
+  }
+
+  if (diff.renamed.length > 0) {
+    output += '### Renamed\n\n';
+    diff.renamed.forEach(rename => {
+      const value = rename.valueChanged ? `, ${formatValue(rename.previous)} → ${formatValue(rename.value)}` : '';
+      output += `- \`${rename.from}\` → \`${rename.to}\`${value}\n`;
+    });
+    output += '\n';
+  }
+
+  if (diff.added.length > 0) {
+    output += '### Added\n\n';
+    diff.added.forEach(token => {
+      output += `- \`${token.path}\` (${formatValue(token.value)})\n`;
+    });
+    output += '\n';
+  }
+
+  if (diff.changed.length > 0) {
+    output += '### Changed\n\n';
+    diff.changed.forEach(change => {
+      if (JSON.stringify(change.previous) !== JSON.stringify(change.value)) {
+        output += `- \`${change.path}\`: ${formatValue(change.previous)} → ${formatValue(change.value)}\n`;
+      }
+
+      // Per-mode changes (e.g. only the dark value moved)
+      const modes = new Set([...Object.keys(change.previousModes || {}), ...Object.keys(change.modes || {})]);
+      modes.forEach(mode => {
+        const before = change.previousModes?.[mode];
+        const after = change.modes?.[mode];
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          output += `- \`${change.path}\` (${mode}): ${formatValue(before)} → ${formatValue(after)}\n`;
+        }
+      });
+    });
+    output += '\n';
+  }
+
+  return output;
+}
+
+/**
+ * Helper: Format a token value for the changelog
+ */
+function formatValue(value) {
+  if (value === undefined) return '_none_';
+  return `\`${typeof value === 'string' ? value : JSON.stringify(value)}\``;
+}
+
+/**
+ * Helper: Compare token values, including per-mode values
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a.value) === JSON.stringify(b.value) &&
+    JSON.stringify(a.modes || {}) === JSON.stringify(b.modes || {});
+}
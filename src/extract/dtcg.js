@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { rgbToHex, FIGMA_EXTENSION, PIPELINE_EXTENSION } from './normalize.js';
+import { countTokens } from '../utils/token-tree.js';
+
+/**
+ * DTCG Token Reader
+ * Reads W3C Design Tokens Community Group files ($value, $type, $description,
+ * $extensions) into the pipeline's normalized token shape
+ *
+ * Per-mode values can be given in `$extensions["com.design-token-pipeline"].modes`
+ * (as --dtcg-output writes them) or `$extensions.mode` (e.g. { "light": "#FFF",
+ * "dark": "#000" }); they become `token.modes` and drive the theme builds.
+ * Figma provenance in `$extensions["com.figma"]` becomes the token's source;
+ * other extensions are not used by the pipeline and are dropped.
+ */
+
+// Composite types that have no single CSS value yet; such tokens are skipped
+const UNSUPPORTED_TYPES = ['strokeStyle'];
+
+// Typography properties and the token types of their values
+export const TYPOGRAPHY_PROPERTIES = {
+  fontFamily: 'fontFamily',
+  fontSize: 'dimension',
+  fontWeight: 'fontWeight',
+  lineHeight: 'number',
+  letterSpacing: 'dimension'
+};
+
+/**
+ * Read and normalize a DTCG token file
+ * @param {string} filePath - Path to the DTCG JSON file
+ * @returns {Promise<Object>} - Normalized tokens
+ */
+export async function fetchDtcgTokens(filePath) {
+  console.log(chalk.blue(`📥 Reading DTCG tokens from ${filePath}...`));
+
+  const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+  if (!isDtcgTokens(data)) {
+    throw new Error(`${filePath} has no DTCG tokens (no "$value" found)`);
+  }
+
+  console.log(chalk.green('✓ Successfully loaded DTCG tokens'));
+
+  return normalizeDtcgTokens(data, { fileName: path.basename(filePath) });
+}
+
+/**
+ * Check whether a token tree uses DTCG syntax
+ * @param {Object} data - Parsed token JSON
+ * @returns {boolean} - True if any token has a `$value`
+ */
+export function isDtcgTokens(data) {
+  if (!data || typeof data !== 'object') return false;
+  if ('$value' in data) return true;
+
+  return Object.entries(data).some(([key, value]) => !key.startsWith('$') && isDtcgTokens(value));
+}
+
+/**
+ * Normalize a DTCG token tree
+ * Groups may set `$type` for all tokens below them; composite values
+ * (border, transition, gradient) and object values (colors, dimensions,
+ * durations) are converted to CSS strings. Shadows and typography stay
+ * objects, with their colors and lengths converted
+ * @param {Object} data - DTCG token tree
+ * @param {Object} options - Normalization options
+ * @param {string} options.fileName - Name recorded in the metadata
+ * @returns {Object} - Normalized tokens
+ */
+export function normalizeDtcgTokens(data, { fileName = 'DTCG tokens' } = {}) {
+  console.log(chalk.blue('🔄 Normalizing DTCG tokens...'));
+
+  const themed = [];
+  const normalized = normalizeGroup(data, undefined, [], themed);
+
+  normalized.metadata = {
+    source: 'dtcg',
+    extractedAt: new Date().toISOString(),
+    fileName
+  };
+
+  if (themed.length > 0) {
+    normalized.metadata.modes = [getModeCollection(themed)];
+  }
+
+  console.log(chalk.green(`✓ Normalized ${countTokens(normalized)} DTCG token(s)`));
+
+  return normalized;
+}
+
+/**
+ * Normalize one group, passing its `$type` down to nested tokens
+ */
+function normalizeGroup(group, inheritedType, path, themed) {
+  const type = group.$type || inheritedType;
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(group)) {
+    if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+    const tokenPath = [...path, key];
+
+    if (!('$value' in value)) {
+      normalized[key] = normalizeGroup(value, type, tokenPath, themed);
+      continue;
+    }
+
+    const { [FIGMA_EXTENSION]: figma, [PIPELINE_EXTENSION]: pipeline, mode } = value.$extensions || {};
+
+    // Types without a DTCG equivalent (e.g. CSS gradient strings) are kept in the pipeline extension
+    const tokenType = value.$type || pipeline?.type || type;
+    if (UNSUPPORTED_TYPES.includes(tokenType)) {
+      console.warn(chalk.yellow(`⚠ Skipping ${tokenType} token "${tokenPath.join('.')}": composite type not supported`));
+      continue;
+    }
+
+    const token = {
+      value: formatDtcgValue(value.$value, tokenType),
+      type: tokenType,
+      description: value.$description || '',
+      source: {
+        format: 'dtcg',
+        path: tokenPath.join('.'),
+        ...(figma ? { figmaKey: figma.key, figmaName: figma.name, figmaId: figma.id, collection: figma.collection } : {})
+      }
+    };
+
+    const modes = pipeline?.modes || mode;
+    if (modes && typeof modes === 'object') {
+      token.modes = Object.fromEntries(
+        Object.entries(modes).map(([name, modeValue]) => [name, formatDtcgValue(modeValue, tokenType)])
+      );
+      themed.push(token);
+    }
+
+    normalized[key] = token;
+  }
+
+  return normalized;
+}
+
+/**
+ * Convert a DTCG value to the pipeline's value format for its type
+ * References ("{color.brand}") are kept as they are
+ * @param {*} value - DTCG `$value`
+ * @param {string} type - DTCG `$type`
+ * @returns {*} - Token value
+ */
+function formatDtcgValue(value, type) {
+  if (typeof value === 'string') return value;
+
+  switch (type) {
+    case 'color':
+      return formatColor(value);
+    case 'dimension':
+    case 'duration':
+      return formatMeasure(value);
+    case 'fontFamily':
+      return Array.isArray(value) ? value.map(quoteFontFamily).join(', ') : value;
+    case 'fontWeight':
+      return String(value);
+    case 'cubicBezier':
+      return Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : value;
+    case 'shadow':
+      return Array.isArray(value) ? value.map(formatShadow) : formatShadow(value);
+    case 'typography':
+      return formatTypography(value);
+    case 'gradient':
+      return Array.isArray(value) ? formatGradient(value) : value;
+    case 'border':
+      return [formatMeasure(value.width), value.style, formatColor(value.color)].join(' ');
+    case 'transition':
+      return [
+        formatMeasure(value.duration, '0ms'),
+        formatDtcgValue(value.timingFunction, 'cubicBezier'),
+        formatMeasure(value.delay, '0ms')
+      ].join(' ');
+    default:
+      return value;
+  }
+}
+
+/**
+ * Helper: Format a DTCG color (hex string, or { colorSpace, components, alpha, hex } object)
+ */
+function formatColor(color) {
+  if (typeof color === 'string') return color;
+  // Only sRGB components convert directly; other color spaces rely on the hex fallback
+  if (color.colorSpace !== 'srgb') return color.hex;
+
+  const [r, g, b] = color.components.map(component => component * 255);
+  return rgbToHex(r, g, b, color.alpha);
+}
+
+/**
+ * Helper: Format a DTCG dimension or duration ("4px", or { value, unit })
+ */
+function formatMeasure(measure, fallback = '0') {
+  if (measure === undefined) return fallback;
+  if (typeof measure === 'object') return `${measure.value}${measure.unit}`;
+  return String(measure);
+}
+
+/**
+ * Helper: Format one DTCG shadow layer (string colors and lengths, missing lengths as 0px)
+ */
+function formatShadow({ color, offsetX, offsetY, blur, spread, inset }) {
+  return {
+    color: formatColor(color),
+    offsetX: formatMeasure(offsetX, '0px'),
+    offsetY: formatMeasure(offsetY, '0px'),
+    blur: formatMeasure(blur, '0px'),
+    spread: formatMeasure(spread, '0px'),
+    ...(inset ? { inset: true } : {})
+  };
+}
+
+/**
+ * Helper: Format a DTCG typography value as a composite typography token value
+ * Each property is formatted for its own type; references are kept
+ */
+function formatTypography(typography) {
+  return Object.fromEntries(
+    Object.entries(TYPOGRAPHY_PROPERTIES)
+      .filter(([property]) => typography[property] !== undefined)
+      .map(([property, type]) => [property, formatDtcgValue(
+        type === 'number' && typeof typography[property] === 'number' ? String(typography[property]) : typography[property],
+        type
+      )])
+  );
+}
+
+/**
+ * Helper: Format DTCG gradient stops as a CSS linear gradient (top to bottom, as DTCG gives no direction)
+ */
+function formatGradient(stops) {
+  return `linear-gradient(${stops.map(stop => `${formatColor(stop.color)} ${Math.round(stop.position * 10000) / 100}%`).join(', ')})`;
+}
+
+/**
+ * Helper: Quote font family names that contain spaces
+ */
+function quoteFontFamily(name) {
+  return /\s/.test(name) && !/^['"]/.test(name) ? `'${name}'` : name;
+}
+
+/**
+ * Helper: Describe the modes found in `$extensions.mode`
+ * The default mode is the first one whose value matches `$value` on the first themed token
+ */
+function getModeCollection(themed) {
+  const modes = [...new Set(themed.flatMap(token => Object.keys(token.modes)))];
+  const first = themed[0];
+  const defaultMode = modes.find(mode => JSON.stringify(first.modes[mode]) === JSON.stringify(first.value)) || modes[0];
+
+  return { collection: 'DTCG modes', modes, defaultMode };
+}
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import { attachFigmaCache } from './figma-cache.js';
 
 dotenv.config();
 
@@ -16,34 +17,33 @@ dotenv.config();
 
 const FIGMA_API_BASE = 'https://api.figma.com/v1';
 
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 250; // 250ms between requests (max 4 requests/second to be safe)
-let lastRequestTime = 0;
+// Styles per /teams/:id/styles page
+const TEAM_PAGE_SIZE = 100;
 
-/**
- * Apply rate limiting to prevent hitting Figma API limits
- * Figma allows 60 requests per minute (1 per second average)
- */
-async function applyRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    const waitTime = RATE_LIMIT_DELAY - timeSinceLastRequest;
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-
-  lastRequestTime = Date.now();
-}
+// Request settings; each can be overridden per call (see fetchFileTokens) or through .env
+const DEFAULT_OPTIONS = {
+  apiBase: process.env.FIGMA_API_BASE || FIGMA_API_BASE,
+  concurrency: Number(process.env.FIGMA_CONCURRENCY) || 4, // node requests in flight at once
+  batchSize: Number(process.env.FIGMA_BATCH_SIZE) || 50, // node IDs per /nodes request
+  maxRetries: 5, // retries of a rate-limited (429) or failed (5xx) request
+  retryDelay: 1000, // first backoff in ms when no Retry-After is given; doubles per retry
+  cache: null, // 'record' or 'replay' (see figma-cache.js); null always fetches
+  cacheDir: process.env.FIGMA_CACHE_DIR || '.figma-cache'
+};
 
 /**
  * Create Figma API client with authentication
+ * Rate-limited (429) and server error (5xx) responses are retried, waiting
+ * for the response's Retry-After seconds or else an exponential backoff.
+ * With a cache mode, responses are recorded to or replayed from disk
+ * @param {Object} options - Request options (see DEFAULT_OPTIONS)
  * @returns {Object} - Axios instance configured for Figma API
  */
-function createFigmaClient() {
+function createFigmaClient({ apiBase, maxRetries, retryDelay, cache, cacheDir } = DEFAULT_OPTIONS) {
   const token = process.env.FIGMA_ACCESS_TOKEN;
 
-  if (!token) {
+  // Replayed runs never reach Figma
+  if (!token && cache !== 'replay') {
     throw new Error(
       'FIGMA_ACCESS_TOKEN not found in environment variables.\n' +
       'Please add your Figma Personal Access Token to the .env file.\n' +
@@ -51,34 +51,65 @@ function createFigmaClient() {
     );
   }
 
-  return axios.create({
-    baseURL: FIGMA_API_BASE,
+  const client = axios.create({
+    baseURL: apiBase,
     headers: {
       'X-Figma-Token': token
     },
     timeout: 10000
   });
+
+  client.interceptors.response.use(null, async (error) => {
+    const { config, response } = error;
+    const retryable = response && (response.status === 429 || response.status >= 500);
+    const attempt = config?.retryAttempt || 0;
+
+    if (!retryable || attempt >= maxRetries) throw error;
+
+    const wait = getRetryDelay(response, attempt, retryDelay);
+    console.warn(chalk.yellow(`⚠ Figma API returned ${response.status} for ${config.url}; retrying in ${wait}ms (${attempt + 1}/${maxRetries})`));
+    await new Promise(resolve => setTimeout(resolve, wait));
+
+    return client.request({ ...config, retryAttempt: attempt + 1 });
+  });
+
+  return cache ? attachFigmaCache(client, { mode: cache, cacheDir }) : client;
+}
+
+/**
+ * Helper: Milliseconds to wait before retrying
+ * Retry-After (seconds or an HTTP date) wins over the exponential backoff
+ */
+function getRetryDelay(response, attempt, retryDelay) {
+  const retryAfter = response.headers?.['retry-after'];
+
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(ms)) return Math.max(0, ms);
+  }
+
+  return retryDelay * 2 ** attempt;
 }
 
 /**
  * Fetch file metadata and styles from Figma
  * @param {string} fileKey - The Figma file key (from the file URL)
+ * @param {Object} options - Request options (see fetchFileTokens)
  * @returns {Promise<Object>} - Figma file data with styles
  */
-export async function fetchFileStyles(fileKey) {
+export async function fetchFileStyles(fileKey, options = {}) {
   if (!fileKey) {
     throw new Error('Figma file key is required');
   }
 
-  const client = createFigmaClient();
+  const requestOptions = { ...DEFAULT_OPTIONS, ...options };
+  const client = createFigmaClient(requestOptions);
 
   try {
     console.log(chalk.blue(`📥 Fetching file metadata from Figma API...`));
     console.log(chalk.gray(`   File Key: ${fileKey}`));
 
-    // Apply rate limiting
-    await applyRateLimit();
-
     // Fetch file metadata
     const fileResponse = await client.get(`/files/${fileKey}`);
     const fileData = fileResponse.data;
@@ -90,14 +121,13 @@ export async function fetchFileStyles(fileKey) {
     // Fetch styles (colors, text styles, effects)
     console.log(chalk.blue('📥 Fetching styles from Figma API...'));
 
-    await applyRateLimit();
     const stylesResponse = await client.get(`/files/${fileKey}/styles`);
     const stylesData = stylesResponse.data.meta.styles;
 
     console.log(chalk.green(`✓ Retrieved ${stylesData.length} style(s)`));
 
     // Fetch detailed information for each style
-    const detailedStyles = await fetchStyleDetails(client, fileKey, stylesData);
+    const detailedStyles = await fetchStyleDetails(client, fileKey, stylesData, requestOptions);
 
     return {
       name: fileData.name,
@@ -112,15 +142,141 @@ export async function fetchFileStyles(fileKey) {
   }
 }
 
+/**
+ * Fetch the published styles of a team library
+ * Unlike fetchFileStyles, which reads every style in one file, only styles
+ * published to the library are returned, so drafts and work in progress are
+ * never shipped. Deprecated styles ("deprecated" in the name or description,
+ * the usual Figma convention) are skipped. Each style keeps its publish
+ * metadata in `published`
+ * @param {Object} library - Which published styles to fetch
+ * @param {string} library.teamId - Team ID (from the team URL); lists every style the team published
+ * @param {Array} library.styleKeys - Published style keys, fetched one by one
+ * @param {Object} options - Request options (see fetchFileTokens)
+ * @returns {Promise<Object>} - Library data with styles, shaped like fetchFileStyles' result
+ */
+export async function fetchPublishedStyles({ teamId, styleKeys = [] }, options = {}) {
+  if (!teamId && styleKeys.length === 0) {
+    throw new Error('A Figma team ID or published style keys are required');
+  }
+
+  const requestOptions = { ...DEFAULT_OPTIONS, ...options };
+  const client = createFigmaClient(requestOptions);
+
+  try {
+    console.log(chalk.blue('📥 Fetching published styles from Figma API...'));
+
+    const listed = teamId ? await fetchTeamStyles(client, teamId) : [];
+    const lookedUp = await mapWithConcurrency(styleKeys, requestOptions.concurrency, async (key) => {
+      const response = await client.get(`/styles/${key}`);
+      return response.data.meta;
+    });
+
+    // A style both listed and looked up is only fetched once
+    const published = [...new Map([...listed, ...lookedUp].map(style => [style.key, style])).values()];
+    const deprecated = published.filter(isDeprecated);
+    const styles = published.filter(style => !isDeprecated(style));
+
+    console.log(chalk.green(`✓ Retrieved ${published.length} published style(s)`));
+    if (deprecated.length > 0) {
+      console.log(chalk.gray(`   Skipping ${deprecated.length} deprecated style(s)`));
+    }
+
+    // Style nodes live in the files that published them
+    const byFile = new Map();
+    for (const style of styles) {
+      if (!byFile.has(style.file_key)) byFile.set(style.file_key, []);
+      byFile.get(style.file_key).push(style);
+    }
+
+    const detailedStyles = { colors: [], text: [], effects: [] };
+
+    for (const [fileKey, fileStyles] of byFile) {
+      console.log(chalk.gray(`   File Key: ${fileKey}`));
+      const fileDetails = await fetchStyleDetails(client, fileKey, fileStyles, requestOptions);
+      Object.keys(detailedStyles).forEach(category => detailedStyles[category].push(...fileDetails[category]));
+    }
+
+    const publishInfo = new Map(styles.map(style => [style.key, getPublishMetadata(style)]));
+    Object.values(detailedStyles).flat().forEach(style => { style.published = publishInfo.get(style.key); });
+
+    return {
+      name: teamId ? `Team ${teamId} library` : 'Published styles',
+      lastModified: styles.map(style => style.updated_at).filter(Boolean).sort().pop(),
+      styles: detailedStyles
+    };
+
+  } catch (error) {
+    handleFigmaApiError(error);
+    throw error;
+  }
+}
+
+/**
+ * List every style a team has published, following the pagination cursor
+ * @param {Object} client - Axios client
+ * @param {string} teamId - Figma team ID
+ * @returns {Promise<Array>} - Published style metadata
+ */
+async function fetchTeamStyles(client, teamId) {
+  console.log(chalk.gray(`   Team ID: ${teamId}`));
+
+  const styles = [];
+  let after;
+
+  do {
+    const response = await client.get(`/teams/${teamId}/styles`, {
+      params: { page_size: TEAM_PAGE_SIZE, ...(after !== undefined ? { after } : {}) }
+    });
+    const { styles: page = [], cursor } = response.data.meta;
+
+    styles.push(...page);
+    after = page.length > 0 && cursor?.after !== after ? cursor?.after : undefined;
+  } while (after !== undefined);
+
+  return styles;
+}
+
+/**
+ * Helper: Whether a published style is marked as deprecated
+ * Figma has no deprecation flag for styles, so libraries say so in the name or description
+ */
+function isDeprecated(style) {
+  return /\bdeprecated\b/i.test(`${style.name} ${style.description || ''}`);
+}
+
+/**
+ * Helper: Publish metadata kept on each library style's token source
+ */
+function getPublishMetadata(style) {
+  return {
+    fileKey: style.file_key,
+    nodeId: style.node_id,
+    createdAt: style.created_at,
+    updatedAt: style.updated_at,
+    publishedBy: style.user?.handle,
+    thumbnailUrl: style.thumbnail_url
+  };
+}
+
 /**
  * Fetch detailed information for each style
+ * Style nodes are requested in batches of `batchSize` IDs per /nodes
+ * request, with up to `concurrency` requests in flight. A batch that still
+ * fails after retrying fails the extraction: its styles would otherwise be
+ * missing from the tokens, and the diff would report them as removed
  * @param {Object} client - Axios client
  * @param {string} fileKey - Figma file key
  * @param {Array} styles - Array of style metadata
+ * @param {Object} options - Request options
+ * @param {number} options.concurrency - Maximum parallel requests
+ * @param {number} options.batchSize - Node IDs per request
  * @returns {Promise<Object>} - Organized styles by type
+ * @throws {Error} - When a batch of style nodes could not be fetched
  */
-async function fetchStyleDetails(client, fileKey, styles) {
-  console.log(chalk.blue('📥 Fetching detailed style information...'));
+async function fetchStyleDetails(client, fileKey, styles, { concurrency, batchSize }) {
+  const batches = chunk(styles, batchSize);
+  console.log(chalk.blue(`📥 Fetching detailed style information (${batches.length} request(s), ${concurrency} at a time)...`));
 
   const detailedStyles = {
     colors: [],
@@ -129,17 +285,38 @@ async function fetchStyleDetails(client, fileKey, styles) {
   };
 
   let processed = 0;
+  const failed = [];
 
-  for (const style of styles) {
+  const batchNodes = await mapWithConcurrency(batches, concurrency, async (batch) => {
     try {
-      await applyRateLimit();
-
-      // Get nodes that use this style
       const nodeResponse = await client.get(`/files/${fileKey}/nodes`, {
-        params: { ids: style.node_id }
+        params: { ids: batch.map(style => style.node_id).join(',') }
       });
 
-      const node = nodeResponse.data.nodes[style.node_id];
+      processed += batch.length;
+      console.log(chalk.gray(`   Processed ${processed}/${styles.length} styles...`));
+
+      return nodeResponse.data.nodes;
+    } catch (error) {
+      const names = batch.slice(0, 5).map(style => style.name).join(', ');
+      console.warn(chalk.yellow(`⚠ Could not fetch details for ${batch.length} style(s): ${names}${batch.length > 5 ? ', …' : ''}`));
+      console.warn(chalk.gray(`   Error: ${error.message}`));
+      failed.push({ batch, error });
+      return {};
+    }
+  });
+
+  if (failed.length > 0) {
+    const count = failed.reduce((sum, { batch }) => sum + batch.length, 0);
+    const error = new Error(`Could not fetch details for ${count} of ${styles.length} style(s) in ${failed.length} request(s): ${failed[0].error.message}`);
+    error.response = failed[0].error.response; // so handleFigmaApiError explains the HTTP status
+    throw error;
+  }
+
+  // Styles keep the order the styles endpoint listed them in
+  batches.forEach((batch, index) => {
+    for (const style of batch) {
+      const node = batchNodes[index][style.node_id];
 
       if (node && node.document) {
         const styleData = {
@@ -151,11 +328,11 @@ async function fetchStyleDetails(client, fileKey, styles) {
 
         // Extract style-specific data based on type
         if (style.style_type === 'FILL') {
-          // Color style
+          // Color or gradient style; all paints are kept (with their opacity)
+          // and normalization decides which ones become the token value
           const fills = node.document.fills;
-          if (fills && fills.length > 0 && fills[0].type === 'SOLID') {
-            styleData.color = fills[0].color;
-            styleData.type = 'SOLID';
+          if (fills && fills.length > 0) {
+            styleData.fills = fills;
             detailedStyles.colors.push(styleData);
           }
         } else if (style.style_type === 'TEXT') {
@@ -178,17 +355,8 @@ async function fetchStyleDetails(client, fileKey, styles) {
           }
         }
       }
-
-      processed++;
-      if (processed % 5 === 0) {
-        console.log(chalk.gray(`   Processed ${processed}/${styles.length} styles...`));
-      }
-
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠ Could not fetch details for style: ${style.name}`));
-      console.warn(chalk.gray(`   Error: ${error.message}`));
     }
-  }
+  });
 
   console.log(chalk.green(`✓ Processed ${processed} style(s)`));
   console.log(chalk.gray(`   Colors: ${detailedStyles.colors.length}`));
@@ -198,24 +366,53 @@ async function fetchStyleDetails(client, fileKey, styles) {
   return detailedStyles;
 }
 
+/**
+ * Helper: Run an async function over items, at most `limit` at a time
+ * Results keep the order of the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Helper: Split an array into chunks of `size` items
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += Math.max(1, size)) {
+    chunks.push(items.slice(i, i + Math.max(1, size)));
+  }
+  return chunks;
+}
+
 /**
  * Fetch variables (new Figma Variables API for design tokens)
  * This is the newer approach for design tokens in Figma
  * @param {string} fileKey - The Figma file key
+ * @param {Object} options - Request options (see fetchFileTokens)
  * @returns {Promise<Object>} - Variable collections and values
  */
-export async function fetchFileVariables(fileKey) {
+export async function fetchFileVariables(fileKey, options = {}) {
   if (!fileKey) {
     throw new Error('Figma file key is required');
   }
 
-  const client = createFigmaClient();
+  const client = createFigmaClient({ ...DEFAULT_OPTIONS, ...options });
 
   try {
     console.log(chalk.blue('📥 Fetching variables from Figma API...'));
 
-    await applyRateLimit();
-
     const response = await client.get(`/files/${fileKey}/variables/local`);
     const data = response.data.meta;
 
@@ -240,15 +437,23 @@ export async function fetchFileVariables(fileKey) {
 /**
  * Fetch both styles and variables from a Figma file
  * @param {string} fileKey - The Figma file key
+ * @param {Object} options - Request options; defaults come from .env where set
+ * @param {string} options.apiBase - Figma API base URL (FIGMA_API_BASE)
+ * @param {number} options.concurrency - Maximum parallel node requests (FIGMA_CONCURRENCY, default 4)
+ * @param {number} options.batchSize - Style node IDs per request (FIGMA_BATCH_SIZE, default 50)
+ * @param {number} options.maxRetries - Retries of a rate-limited or failed request (default 5)
+ * @param {number} options.retryDelay - First backoff in ms without Retry-After (default 1000)
+ * @param {string} options.cache - 'record' to save responses to disk, 'replay' to read them back offline
+ * @param {string} options.cacheDir - Directory for recorded responses (FIGMA_CACHE_DIR, default .figma-cache)
  * @returns {Promise<Object>} - Combined styles and variables
  */
-export async function fetchFileTokens(fileKey) {
+export async function fetchFileTokens(fileKey, options = {}) {
   console.log(chalk.blue('🎨 Starting Figma token extraction...'));
   console.log(chalk.gray('─'.repeat(50)));
 
   const [stylesData, variablesData] = await Promise.all([
-    fetchFileStyles(fileKey),
-    fetchFileVariables(fileKey).catch(() => ({ variables: {}, variableCollections: {} }))
+    fetchFileStyles(fileKey, options),
+    fetchFileVariables(fileKey, options).catch(() => ({ variables: {}, variableCollections: {} }))
   ]);
 
   console.log(chalk.gray('─'.repeat(50)));
@@ -285,8 +490,8 @@ function handleFigmaApiError(error) {
         console.error(chalk.red('✗ Not Found - File or resource doesn\'t exist'));
         break;
       case 429:
-        console.error(chalk.red('✗ Rate Limit Exceeded - Too many requests'));
-        console.error(chalk.gray('  Please wait a moment and try again'));
+        console.error(chalk.red('✗ Rate Limit Exceeded - Still rate limited after retrying'));
+        console.error(chalk.gray('  Lower FIGMA_CONCURRENCY or try again later'));
         break;
       case 500:
         console.error(chalk.red('✗ Figma Server Error - Try again later'));
@@ -0,0 +1,211 @@
+/**
+ * Figma Response Cache
+ * Records raw Figma API responses to disk and replays them offline
+ *
+ * Responses are stored per file and file version, as
+ * <cache dir>/<file key>/<version>/<request>.json. <file key>/index.json
+ * lists the recorded versions with their lastModified date. Team library
+ * requests have no file version: they are stored as
+ * <cache dir>/teams/<team id>/styles-<query hash>.json (one per page) and
+ * <cache dir>/styles/<style key>.json, and each recording replaces the last.
+ *
+ * - record: requests go to Figma and each response is written to the cache
+ * - replay: requests are answered from the latest recorded version of the
+ *   file only; nothing is sent to Figma, so no access token is needed
+ */
+
+import { AxiosError } from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+
+export const CACHE_MODES = ['record', 'replay'];
+
+// Figma file requests: /files/<key>, /files/<key>/nodes, /files/<key>/variables/local, ...
+const FILE_REQUEST = /^\/files\/([^/?]+)(\/[^?]*)?$/;
+
+// Team library requests: /teams/<id>/styles and /styles/<key>
+const LIBRARY_REQUEST = /^\/(teams\/[^/?]+|styles)\/([^/?]+)$/;
+
+/**
+ * Add record or replay behaviour to a Figma API client
+ * @param {Object} client - Axios instance from createFigmaClient
+ * @param {Object} options - Cache options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.cacheDir - Directory holding the recorded responses
+ * @returns {Object} - The same client
+ */
+export function attachFigmaCache(client, { mode, cacheDir }) {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown Figma cache mode "${mode}" (expected ${CACHE_MODES.join(' or ')})`);
+  }
+
+  // File key → Promise of the version directory that requests read from or write to
+  const versionDirs = new Map();
+  const getVersionDir = (fileKey) => {
+    if (!versionDirs.has(fileKey)) {
+      versionDirs.set(fileKey, mode === 'record'
+        ? recordVersion(client, cacheDir, fileKey)
+        : findLatestVersion(cacheDir, fileKey));
+    }
+    return versionDirs.get(fileKey);
+  };
+
+  // Where a request's response is recorded; null for requests that are never cached
+  const getCacheFile = async ({ url, params }) => {
+    const fileMatch = url.match(FILE_REQUEST);
+    if (fileMatch) {
+      const [, fileKey, resource = ''] = fileMatch;
+      return path.join(await getVersionDir(fileKey), getRequestFileName(resource, params));
+    }
+
+    const libraryMatch = url.match(LIBRARY_REQUEST);
+    if (libraryMatch) {
+      const [, dir, resource] = libraryMatch;
+      return path.join(cacheDir, dir, getRequestFileName(resource, params));
+    }
+
+    return null;
+  };
+
+  client.interceptors.request.use(async (config) => {
+    if (config.skipCache) return config;
+
+    const cacheFile = await getCacheFile(config);
+    if (!cacheFile) {
+      if (mode === 'replay') {
+        throw new Error(`Cannot replay ${config.url}: only file and team library requests are recorded`);
+      }
+      return config;
+    }
+
+    config.cacheFile = cacheFile;
+    if (mode === 'replay') {
+      config.adapter = () => replayResponse(cacheFile, config);
+    }
+
+    return config;
+  });
+
+  if (mode === 'record') {
+    client.interceptors.response.use(
+      async (response) => {
+        if (response.config.cacheFile) {
+          await writeRecording(response.config.cacheFile, response);
+        }
+        return response;
+      },
+      async (error) => {
+        // Missing resources (e.g. a file without variables) are replayed as the same 404
+        if (error.response?.status === 404 && error.config?.cacheFile) {
+          await writeRecording(error.config.cacheFile, error.response);
+        }
+        throw error;
+      }
+    );
+  }
+
+  return client;
+}
+
+/**
+ * Look up the file's current version and add it to the index
+ * @returns {Promise<string>} - Directory for this version's responses
+ */
+async function recordVersion(client, cacheDir, fileKey) {
+  const response = await client.get(`/files/${fileKey}`, { params: { depth: 1 }, skipCache: true });
+  const { version, lastModified, name } = response.data;
+
+  const index = await readIndex(cacheDir, fileKey);
+  index.versions[version] = { name, lastModified, recordedAt: new Date().toISOString() };
+  index.latest = version;
+
+  await fs.mkdir(path.join(cacheDir, fileKey), { recursive: true });
+  await fs.writeFile(getIndexPath(cacheDir, fileKey), JSON.stringify(index, null, 2));
+
+  console.log(chalk.gray(`   Recording Figma responses for version ${version} to ${path.join(cacheDir, fileKey)}`));
+
+  return getVersionPath(cacheDir, fileKey, version);
+}
+
+/**
+ * Find the most recently recorded version of a file
+ * @returns {Promise<string>} - Directory holding that version's responses
+ */
+async function findLatestVersion(cacheDir, fileKey) {
+  const { latest, versions } = await readIndex(cacheDir, fileKey);
+
+  if (!latest) {
+    throw new Error(`No recorded Figma responses for file ${fileKey} in ${cacheDir}. Run with --record first.`);
+  }
+
+  console.log(chalk.gray(`   Replaying Figma responses for version ${latest} (last modified ${versions[latest].lastModified})`));
+
+  return getVersionPath(cacheDir, fileKey, latest);
+}
+
+/**
+ * Answer a request from its recording, as the axios adapter would
+ */
+async function replayResponse(cacheFile, config) {
+  let recording;
+  try {
+    recording = JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+  } catch {
+    throw new Error(`No recorded Figma response for ${config.url} (${cacheFile}). Run with --record to refresh the cache.`);
+  }
+
+  const response = { data: recording.data, status: recording.status, statusText: '', headers: {}, config, request: {} };
+
+  if (recording.status >= 400) {
+    throw new AxiosError(`Request failed with status code ${recording.status}`, AxiosError.ERR_BAD_REQUEST, config, null, response);
+  }
+
+  return response;
+}
+
+/**
+ * Write one response to the cache
+ */
+async function writeRecording(cacheFile, response) {
+  await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+  await fs.writeFile(cacheFile, JSON.stringify({ status: response.status, data: response.data }, null, 2));
+}
+
+/**
+ * Helper: Read a file's index of recorded versions
+ */
+async function readIndex(cacheDir, fileKey) {
+  try {
+    return JSON.parse(await fs.readFile(getIndexPath(cacheDir, fileKey), 'utf-8'));
+  } catch {
+    return { fileKey, latest: null, versions: {} };
+  }
+}
+
+/**
+ * Helper: File name for a request, e.g. "nodes-3fa9c2d81b0e.json"
+ * Query parameters (such as a batch's node IDs) are hashed into the name
+ */
+function getRequestFileName(resource, params) {
+  const name = resource.split('/').filter(Boolean).join('-').replace(/[^\w.-]/g, '_') || 'file';
+  if (!params || Object.keys(params).length === 0) return `${name}.json`;
+
+  const query = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+  return `${name}-${crypto.createHash('sha256').update(query).digest('hex').slice(0, 12)}.json`;
+}
+
+/**
+ * Helper: Path of a file's version index
+ */
+function getIndexPath(cacheDir, fileKey) {
+  return path.join(cacheDir, fileKey, 'index.json');
+}
+
+/**
+ * Helper: Directory for one recorded version
+ */
+function getVersionPath(cacheDir, fileKey, version) {
+  return path.join(cacheDir, fileKey, String(version).replace(/[^\w.-]/g, '_'));
+}
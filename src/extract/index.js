@@ -1,45 +1,80 @@
 /**
  * Token Extraction Module
  * Main entry point for extracting design tokens from Figma
- * Supports both mock data (for demo) and real Figma API
+ * Supports mock data (for demo), the real Figma API, DTCG files, Tokens Studio
+ * exports and token payloads
  */
 
 import * as mockApi from './mock-figma-api.js';
 import * as realApi from './figma-api.js';
 import { normalizeTokens } from './normalize.js';
+import { isDtcgTokens, normalizeDtcgTokens, fetchDtcgTokens } from './dtcg.js';
+import { isTokensStudioExport, normalizeTokensStudio, fetchTokensStudioTokens } from './tokens-studio.js';
+import { mergeFileTokens } from './merge-files.js';
+import { countTokens } from '../utils/token-tree.js';
 import chalk from 'chalk';
 
 /**
  * Extract tokens using the specified method
  * @param {Object} options - Extraction options
- * @param {string} options.method - 'mock' or 'figma'
- * @param {string} options.fileKey - Figma file key (required if method is 'figma')
+ * @param {string} options.method - 'mock', 'figma', 'dtcg', 'tokens-studio' or 'payload'
+ * @param {string|Array} options.fileKey - Figma file key, or several keys from lowest to highest
+ *   precedence (required if method is 'figma')
+ * @param {string} options.filePath - DTCG JSON file, or Tokens Studio export file or directory
+ *   (required if method is 'dtcg' or 'tokens-studio')
+ * @param {Object} options.tokens - Token JSON, DTCG or sample-tokens.json shape (required if method is 'payload')
+ * @param {string} options.teamId - Figma team ID; extracts the team library's published styles instead of files
+ * @param {Array} options.styleKeys - Published style keys to extract (alone or with teamId)
+ * @param {string} options.figmaCache - 'record' or 'replay' Figma API responses (method 'figma' only)
+ * @param {string} options.onConflict - 'warn' or 'error' when two Figma files define the same token
  * @returns {Promise<Object>} - Normalized tokens
  */
 export async function extractTokens(options = {}) {
-  const { method = 'mock', fileKey } = options;
+  const { method = 'mock', fileKey, teamId, styleKeys, filePath, tokens, figmaCache, onConflict } = options;
 
   console.log(chalk.blue('🎨 Starting token extraction...'));
   console.log(chalk.gray('─'.repeat(50)));
   console.log(chalk.gray(`   Method: ${method}`));
 
-  let rawData;
-
   try {
-    if (method === 'figma') {
+    let normalizedTokens;
+
+    if (method === 'figma' && (teamId || styleKeys?.length > 0)) {
+      // Use the published styles of a Figma team library
+      normalizedTokens = normalizeTokens(await realApi.fetchPublishedStyles({ teamId, styleKeys }, { cache: figmaCache }));
+    } else if (method === 'figma') {
       // Use real Figma API
-      if (!fileKey) {
+      const fileKeys = [].concat(fileKey || []);
+      if (fileKeys.length === 0) {
         throw new Error('fileKey is required when using Figma API');
       }
-      rawData = await realApi.fetchFileTokens(fileKey);
+
+      // Files are fetched one at a time; each already runs its node requests in parallel
+      const files = [];
+      for (const key of fileKeys) {
+        files.push({ fileKey: key, tokens: normalizeTokens(await realApi.fetchFileTokens(key, { cache: figmaCache })) });
+      }
+      normalizedTokens = mergeFileTokens(files, { onConflict });
+    } else if (method === 'dtcg') {
+      // Use a W3C DTCG token file (e.g. exported from Tokens Studio)
+      if (!filePath) {
+        throw new Error('filePath is required when using the DTCG method');
+      }
+      normalizedTokens = await fetchDtcgTokens(filePath);
+    } else if (method === 'tokens-studio') {
+      // Use a Tokens Studio export (token sets + $themes/$metadata)
+      if (!filePath) {
+        throw new Error('filePath is required when using the Tokens Studio method');
+      }
+      normalizedTokens = await fetchTokensStudioTokens(filePath);
+    } else if (method === 'payload') {
+      // Use tokens supplied by the caller (e.g. uploaded to the API)
+      normalizedTokens = normalizePayload(tokens);
     } else {
       // Use mock data
-      rawData = await mockApi.fetchFileStyles();
+      normalizedTokens = normalizeTokens(await mockApi.fetchFileStyles());
     }
 
-    // Normalize the tokens
-    const normalizedTokens = normalizeTokens(rawData);
-
     console.log(chalk.gray('─'.repeat(50)));
     console.log(chalk.green('✓ Token extraction complete!'));
 
@@ -52,6 +87,38 @@ export async function extractTokens(options = {}) {
   }
 }
 
+/**
+ * Normalize a token payload
+ * Tokens Studio exports and DTCG payloads are read directly; sample-tokens.json-shaped
+ * payloads go through the same Figma-style conversion as the mock API
+ * @param {Object} tokens - Token JSON
+ * @returns {Object} - Normalized tokens
+ */
+function normalizePayload(tokens) {
+  if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+    throw new Error('tokens must be a token JSON object when using the payload method');
+  }
+
+  let normalized;
+  if (isTokensStudioExport(tokens)) {
+    normalized = normalizeTokensStudio(tokens, { fileName: 'Uploaded tokens' });
+  } else if (isDtcgTokens(tokens)) {
+    normalized = normalizeDtcgTokens(tokens, { fileName: 'Uploaded tokens' });
+  } else {
+    if (!mockApi.TOKEN_GROUPS.some(group => group in tokens)) {
+      throw new Error(`tokens has no recognised token groups (expected DTCG, a Tokens Studio export or ${mockApi.TOKEN_GROUPS.join(', ')})`);
+    }
+    normalized = normalizeTokens(mockApi.toFigmaResponse(tokens, 'Uploaded tokens'));
+    normalized.metadata.source = 'payload';
+  }
+
+  if (countTokens(normalized) === 0) {
+    throw new Error('tokens contains no design tokens');
+  }
+
+  return normalized;
+}
+
 /**
  * Validate Figma API connection (for real API only)
  * @returns {Promise<boolean>} - True if connection is valid
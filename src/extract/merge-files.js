@@ -0,0 +1,148 @@
+import chalk from 'chalk';
+import { flattenTokens, setNestedValue } from '../utils/token-tree.js';
+
+/**
+ * Multi-File Merging
+ * Merges the normalized tokens of several Figma files (e.g. a primitives
+ * library, a semantic library and a brand file) into one token tree
+ *
+ * Files are listed from lowest to highest precedence: when two files define
+ * the same path, the later file's token wins. Definitions that differ are
+ * reported as conflicts, and so is a token in one file whose path is a group
+ * in another. Every token's `source` records the file it came from.
+ */
+
+export const CONFLICT_MODES = ['warn', 'error'];
+
+/**
+ * Merge normalized tokens from several Figma files
+ * @param {Array} files - { fileKey, tokens } in precedence order, lowest first
+ * @param {Object} options - Merge options
+ * @param {string} options.onConflict - 'warn' (the later file wins) or 'error' (throw)
+ * @returns {Object} - Merged normalized tokens; metadata lists the files and any conflicts
+ */
+export function mergeFileTokens(files, { onConflict = 'warn' } = {}) {
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new Error(`Unknown conflict mode "${onConflict}" (expected ${CONFLICT_MODES.join(' or ')})`);
+  }
+
+  // Token path → { fileKey, token }, in first-definition order
+  const definitions = new Map();
+  const conflicts = [];
+
+  for (const { fileKey, tokens } of files) {
+    const { metadata = {}, ...tree } = tokens;
+
+    for (const { path: tokenPath, ...token } of flattenTokens(tree)) {
+      const sourced = { ...token, source: { ...token.source, fileKey, fileName: metadata.fileName } };
+
+      for (const [otherPath, other] of findOverlapping(definitions, tokenPath)) {
+        if (otherPath !== tokenPath || !isSameDefinition(other.token, token)) {
+          conflicts.push({
+            path: tokenPath,
+            ...(otherPath !== tokenPath ? { overriddenPath: otherPath } : {}),
+            files: [other.fileKey, fileKey],
+            winner: fileKey
+          });
+        }
+        if (otherPath !== tokenPath) definitions.delete(otherPath);
+      }
+
+      definitions.set(tokenPath, { fileKey, token: sourced });
+    }
+  }
+
+  conflicts.forEach(conflict => console.warn(chalk.yellow(`⚠ ${formatConflict(conflict)}`)));
+
+  if (conflicts.length > 0 && onConflict === 'error') {
+    throw new Error(`${conflicts.length} token conflict(s) between Figma files:\n` +
+      conflicts.map(conflict => `  ${formatConflict(conflict)}`).join('\n'));
+  }
+
+  // Keep every file's top-level groups, even empty ones (e.g. "typography" in a colors-only file)
+  const merged = {};
+  for (const { tokens: { metadata, ...tree } } of files) {
+    Object.keys(tree).forEach(group => { merged[group] ??= {}; });
+  }
+  for (const [tokenPath, { token }] of definitions) {
+    setNestedValue(merged, tokenPath.split('.'), token);
+  }
+
+  merged.metadata = mergeMetadata(files, conflicts);
+
+  console.log(chalk.green(`✓ Merged ${definitions.size} token(s) from ${files.length} file(s)` +
+    (conflicts.length > 0 ? ` with ${conflicts.length} conflict(s)` : '')));
+
+  return merged;
+}
+
+/**
+ * Format a conflict as a single readable line
+ * @param {Object} conflict - Conflict from the merged metadata
+ * @returns {string} - e.g. "colors.primary.500 is defined in primitives and brand-a; using brand-a"
+ */
+export function formatConflict({ path, overriddenPath, files: [previous, winner] }) {
+  if (overriddenPath) {
+    return `${path} in ${winner} replaces ${overriddenPath} from ${previous} (a token and a group share a path)`;
+  }
+  return `${path} is defined in ${previous} and ${winner}; using ${winner}`;
+}
+
+/**
+ * Merged metadata: the files in precedence order, their mode collections, the
+ * Figma name collisions found in each file (tagged with its key) and the conflicts
+ */
+function mergeMetadata(files, conflicts) {
+  const metadata = {
+    source: 'figma',
+    extractedAt: new Date().toISOString(),
+    fileName: files.map(({ tokens }) => tokens.metadata?.fileName).join(' + '),
+    files: files.map(({ fileKey, tokens }) => ({
+      key: fileKey,
+      name: tokens.metadata?.fileName,
+      figmaVersion: tokens.metadata?.figmaVersion
+    }))
+  };
+
+  if (files.length === 1) {
+    metadata.figmaVersion = files[0].tokens.metadata?.figmaVersion;
+  }
+
+  // Collections with the same name (e.g. "Theme" in two files) keep the later file's modes
+  const collections = new Map();
+  for (const { tokens } of files) {
+    (tokens.metadata?.modes || []).forEach(collection => collections.set(collection.collection, collection));
+  }
+  if (collections.size > 0) {
+    metadata.modes = [...collections.values()];
+  }
+
+  // Validation reports these, whichever file's token ends up at the path
+  const collisions = files.flatMap(({ fileKey, tokens }) =>
+    (tokens.metadata?.collisions || []).map(collision => ({ ...collision, fileKey })));
+  if (collisions.length > 0) {
+    metadata.collisions = collisions;
+  }
+
+  if (conflicts.length > 0) {
+    metadata.conflicts = conflicts;
+  }
+
+  return metadata;
+}
+
+/**
+ * Helper: Existing definitions at the same path, inside it or around it
+ */
+function findOverlapping(definitions, tokenPath) {
+  return [...definitions].filter(([otherPath]) =>
+    otherPath === tokenPath || otherPath.startsWith(`${tokenPath}.`) || tokenPath.startsWith(`${otherPath}.`)
+  );
+}
+
+/**
+ * Helper: Whether two files define a token the same way (value, type and modes)
+ */
+function isSameDefinition(a, b) {
+  return JSON.stringify([a.value, a.type, a.modes]) === JSON.stringify([b.value, b.type, b.modes]);
+}
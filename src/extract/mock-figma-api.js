@@ -7,6 +7,18 @@ import chalk from 'chalk';
  * This reads from our sample-tokens.json file to simulate the Figma API response
  */
 
+// Token categories exposed as FLOAT variables, with the Figma scopes they apply to
+const DIMENSION_SCOPES = {
+  spacing: ['GAP', 'WIDTH_HEIGHT'],
+  borderRadius: ['CORNER_RADIUS']
+};
+
+// A value that is entirely a reference, e.g. "{colors.primary.500}"
+const REFERENCE = /^\{([^{}]+)\}$/;
+
+// Top-level groups of the sample-tokens.json shape that become Figma styles or variables
+export const TOKEN_GROUPS = ['colors', 'typography', 'shadows', 'blur', ...Object.keys(DIMENSION_SCOPES)];
+
 /**
  * Simulates fetching a Figma file's styles and variables
  * @param {string} fileId - The Figma file ID (not used in mock, but kept for API compatibility)
@@ -23,21 +35,29 @@ export async function fetchFileStyles(fileId = 'mock-file') {
 
     console.log(chalk.green('✓ Successfully loaded sample tokens'));
 
-    // Transform to mimic Figma API response structure
-    const figmaResponse = {
-      name: 'Design System Tokens',
-      lastModified: new Date().toISOString(),
-      version: '1.0.0',
-      styles: transformToFigmaStyles(tokens)
-    };
-
-    return figmaResponse;
+    return toFigmaResponse(tokens);
   } catch (error) {
     console.error(chalk.red('✗ Error loading mock Figma data:'), error.message);
     throw error;
   }
 }
 
+/**
+ * Build a Figma-style file response from tokens in the sample-tokens.json shape
+ * @param {Object} tokens - Our standardized token structure
+ * @param {string} name - File name for the response
+ * @returns {Object} - Figma-style file data (styles, variables, variable collections)
+ */
+export function toFigmaResponse(tokens, name = 'Design System Tokens') {
+  return {
+    name,
+    lastModified: new Date().toISOString(),
+    version: '1.0.0',
+    styles: transformToFigmaStyles(tokens),
+    ...transformToFigmaVariables(tokens)
+  };
+}
+
 /**
  * Transform our token structure to mimic Figma's API response format
  * Figma returns styles with RGB values (0-1 range) and specific metadata
@@ -53,12 +73,13 @@ function transformToFigmaStyles(tokens) {
 
   // Transform colors
   if (tokens.colors) {
-    styles.colors = extractColors(tokens.colors);
+    const primitives = new Set(findPrimitiveColors(tokens).map(({ name }) => name));
+    styles.colors = extractColors(tokens.colors, '', primitives);
   }
 
   // Transform typography
   if (tokens.typography) {
-    styles.text = extractTypography(tokens.typography);
+    styles.text = extractTypography(tokens.typography, tokens);
   }
 
   // Transform shadows/effects
@@ -66,21 +87,258 @@ function transformToFigmaStyles(tokens) {
     styles.effects = extractEffects(tokens.shadows);
   }
 
+  if (tokens.blur) {
+    styles.effects.push(...extractBlurs(tokens.blur));
+  }
+
   return styles;
 }
 
+/**
+ * Transform tokens that Figma keeps as Variables rather than styles
+ * - Themed colors (tokens with per-mode values) share one "Theme" collection
+ *   whose modes are the union of their mode names; mode values that reference
+ *   another color become VARIABLE_ALIAS values
+ * - Colors that themed colors alias, and that have no modes themselves, move
+ *   from styles to a single-mode "Primitives" collection, since Figma
+ *   variables can only alias other variables
+ * - Spacing and border radius become FLOAT variables in a single-mode
+ *   "Dimensions" collection, scoped so they normalize to dimensions
+ * @param {Object} tokens - Our standardized token structure
+ * @returns {Object} - Figma-style variables and variable collections
+ */
+function transformToFigmaVariables(tokens) {
+  const variables = {};
+  const variableCollections = {};
+
+  const themed = tokens.colors ? findThemedColors(tokens.colors, 'colors') : [];
+  if (themed.length > 0) {
+    addThemeCollection(themed, variables, variableCollections);
+  }
+
+  const primitives = findPrimitiveColors(tokens);
+  if (primitives.length > 0) {
+    addPrimitiveCollection(primitives, variables, variableCollections);
+  }
+
+  const dimensions = Object.entries(DIMENSION_SCOPES)
+    .filter(([category]) => tokens[category])
+    .flatMap(([category, scopes]) => findDimensions(tokens[category], category)
+      .map(dimension => ({ ...dimension, scopes })));
+  if (dimensions.length > 0) {
+    addDimensionCollection(dimensions, variables, variableCollections);
+  }
+
+  return { variables, variableCollections };
+}
+
+/**
+ * Add the "Theme" collection and its color variables
+ * @param {Array} themed - Figma variable names with their tokens (see findThemedColors)
+ * @param {Object} variables - Variables keyed by ID, added to
+ * @param {Object} variableCollections - Variable collections keyed by ID, added to
+ */
+function addThemeCollection(themed, variables, variableCollections) {
+  const collectionId = 'VariableCollectionId:theme';
+  const modeNames = [...new Set(themed.flatMap(({ token }) => Object.keys(token.modes)))];
+  const modes = modeNames.map(name => ({
+    modeId: `${collectionId}/${name}`,
+    name: name.charAt(0).toUpperCase() + name.slice(1)
+  }));
+
+  const variableIds = [];
+  for (const { name, token } of themed) {
+    const id = `VariableID:${name}`;
+    const valuesByMode = {};
+
+    for (const [index, modeName] of modeNames.entries()) {
+      const value = token.modes[modeName] || token.value;
+      const reference = String(value).match(REFERENCE)?.[1];
+
+      valuesByMode[modes[index].modeId] = reference
+        ? { type: 'VARIABLE_ALIAS', id: `VariableID:${reference.split('.').join('/')}` }
+        : hexToRgb(value);
+    }
+
+    variables[id] = {
+      id,
+      key: `variable-${name.replace(/\//g, '-')}`,
+      name,
+      variableCollectionId: collectionId,
+      resolvedType: 'COLOR',
+      description: token.description || '',
+      scopes: ['ALL_SCOPES'],
+      valuesByMode
+    };
+    variableIds.push(id);
+  }
+
+  variableCollections[collectionId] = {
+    id: collectionId,
+    key: 'collection-theme',
+    name: 'Theme',
+    modes,
+    defaultModeId: modes[0].modeId,
+    variableIds
+  };
+}
+
+/**
+ * Add the "Primitives" collection and its single-mode color variables
+ * @param {Array} primitives - Figma variable names with their tokens (see findPrimitiveColors)
+ * @param {Object} variables - Variables keyed by ID, added to
+ * @param {Object} variableCollections - Variable collections keyed by ID, added to
+ */
+function addPrimitiveCollection(primitives, variables, variableCollections) {
+  const collectionId = 'VariableCollectionId:primitives';
+  const modeId = `${collectionId}/value`;
+
+  const variableIds = [];
+  for (const { name, token } of primitives) {
+    const id = `VariableID:${name}`;
+
+    variables[id] = {
+      id,
+      key: `variable-${name.replace(/\//g, '-')}`,
+      name,
+      variableCollectionId: collectionId,
+      resolvedType: 'COLOR',
+      description: token.description || '',
+      scopes: ['ALL_SCOPES'],
+      valuesByMode: { [modeId]: hexToRgb(token.value) }
+    };
+    variableIds.push(id);
+  }
+
+  variableCollections[collectionId] = {
+    id: collectionId,
+    key: 'collection-primitives',
+    name: 'Primitives',
+    modes: [{ modeId, name: 'Value' }],
+    defaultModeId: modeId,
+    variableIds
+  };
+}
+
+/**
+ * Add the "Dimensions" collection and its FLOAT variables (pixel values)
+ * @param {Array} dimensions - Figma variable names with their tokens and scopes
+ * @param {Object} variables - Variables keyed by ID, added to
+ * @param {Object} variableCollections - Variable collections keyed by ID, added to
+ */
+function addDimensionCollection(dimensions, variables, variableCollections) {
+  const collectionId = 'VariableCollectionId:dimensions';
+  const modeId = `${collectionId}/value`;
+
+  const variableIds = [];
+  for (const { name, token, scopes } of dimensions) {
+    const id = `VariableID:${name}`;
+
+    variables[id] = {
+      id,
+      key: `variable-${name.replace(/\//g, '-')}`,
+      name,
+      variableCollectionId: collectionId,
+      resolvedType: 'FLOAT',
+      description: token.description || '',
+      scopes,
+      valuesByMode: { [modeId]: parseFloat(token.value) }
+    };
+    variableIds.push(id);
+  }
+
+  variableCollections[collectionId] = {
+    id: collectionId,
+    key: 'collection-dimensions',
+    name: 'Dimensions',
+    modes: [{ modeId, name: 'Value' }],
+    defaultModeId: modeId,
+    variableIds
+  };
+}
+
+/**
+ * Find dimension tokens in a category
+ * @param {Object} group - Tokens of one category (e.g. spacing)
+ * @param {string} prefix - Figma name prefix for this level
+ * @returns {Array} - Figma variable names with their tokens
+ */
+function findDimensions(group, prefix) {
+  const dimensions = [];
+
+  for (const [key, value] of Object.entries(group)) {
+    const name = `${prefix}/${key}`;
+
+    if (value.type === 'dimension' && value.value !== undefined) {
+      dimensions.push({ name, token: value });
+    } else if (typeof value === 'object' && !value.type) {
+      dimensions.push(...findDimensions(value, name));
+    }
+  }
+
+  return dimensions;
+}
+
+/**
+ * Find color tokens that define per-mode values
+ * @param {Object} colorTokens - Color tokens from our structure
+ * @param {string} prefix - Figma name prefix for this level
+ * @returns {Array} - Figma variable names with their tokens
+ */
+function findThemedColors(colorTokens, prefix) {
+  const themed = [];
+
+  for (const [key, value] of Object.entries(colorTokens)) {
+    const name = `${prefix}/${key}`;
+
+    if (value.type === 'color' && value.modes) {
+      themed.push({ name, token: value });
+    } else if (typeof value === 'object' && !value.type) {
+      themed.push(...findThemedColors(value, name));
+    }
+  }
+
+  return themed;
+}
+
+/**
+ * Find the colors that themed colors alias
+ * Only colors without modes of their own; themed colors are variables already
+ * @param {Object} tokens - Our standardized token structure
+ * @returns {Array} - Figma variable names (e.g. "colors/primary/500") with their tokens
+ */
+function findPrimitiveColors(tokens) {
+  const themed = tokens.colors ? findThemedColors(tokens.colors, 'colors') : [];
+  const references = new Set(themed
+    .flatMap(({ token }) => Object.values(token.modes))
+    .map(value => String(value).match(REFERENCE)?.[1])
+    .filter(Boolean));
+
+  return [...references]
+    .map(reference => ({
+      name: reference.split('.').join('/'),
+      token: reference.split('.').reduce((node, key) => node?.[key], tokens)
+    }))
+    .filter(({ token }) => token?.type === 'color' && !token.modes);
+}
+
 /**
  * Extract colors and convert hex to Figma RGB format (0-1 range)
  * @param {Object} colorTokens - Color tokens from our structure
+ * @param {string} prefix - Figma name prefix for this level
+ * @param {Set} primitives - Figma variable names of colors exposed as variables (see findPrimitiveColors)
  * @returns {Array} - Figma-style color objects
  */
-function extractColors(colorTokens, prefix = '') {
+function extractColors(colorTokens, prefix = '', primitives = new Set()) {
   const colors = [];
 
   for (const [key, value] of Object.entries(colorTokens)) {
     const name = prefix ? `${prefix}/${key}` : key;
 
-    if (value.type === 'color' && value.value) {
+    if (value.type === 'color' && (value.modes || primitives.has(`colors/${name}`))) {
+      // Themed colors and the colors they alias are exposed as Figma Variables instead of styles
+      continue;
+    } else if (value.type === 'color' && value.value) {
       // Convert hex to Figma RGB format
       const rgb = hexToRgb(value.value);
       colors.push({
@@ -92,9 +350,18 @@ function extractColors(colorTokens, prefix = '') {
         color: rgb,
         value: value.value // Keep original hex for reference
       });
+    } else if (value.type === 'gradient' && value.value) {
+      // Gradients are fill styles with a gradient paint
+      colors.push({
+        key: `gradient-${name.replace(/\//g, '-')}`,
+        name: name,
+        styleType: 'FILL',
+        description: value.description || '',
+        fills: [cssGradientToFigmaPaint(value.value)]
+      });
     } else if (typeof value === 'object' && !value.type) {
       // Nested structure, recurse
-      colors.push(...extractColors(value, name));
+      colors.push(...extractColors(value, name, primitives));
     }
   }
 
@@ -103,10 +370,14 @@ function extractColors(colorTokens, prefix = '') {
 
 /**
  * Extract typography tokens
+ * Each typography property becomes a single-property text style; composite
+ * text styles (`typography.styles`) become full Figma text styles with their
+ * references resolved, since Figma styles hold plain values
  * @param {Object} typographyTokens - Typography tokens
+ * @param {Object} tokens - All tokens, for resolving references
  * @returns {Array} - Figma-style text objects
  */
-function extractTypography(typographyTokens) {
+function extractTypography(typographyTokens, tokens) {
   const textStyles = [];
 
   // Extract font families
@@ -154,9 +425,101 @@ function extractTypography(typographyTokens) {
     }
   }
 
+  // Extract line heights (unitless ratios)
+  if (typographyTokens.lineHeight) {
+    for (const [key, value] of Object.entries(typographyTokens.lineHeight)) {
+      if (value.type === 'number') {
+        textStyles.push({
+          key: `line-height-${key}`,
+          name: `lineHeight/${key}`,
+          styleType: 'TEXT',
+          lineHeight: parseFloat(value.value),
+          description: value.description || ''
+        });
+      }
+    }
+  }
+
+  // Extract letter spacings
+  if (typographyTokens.letterSpacing) {
+    for (const [key, value] of Object.entries(typographyTokens.letterSpacing)) {
+      if (value.type === 'dimension') {
+        textStyles.push({
+          key: `letter-spacing-${key}`,
+          name: `letterSpacing/${key}`,
+          styleType: 'TEXT',
+          letterSpacing: parseFloat(value.value),
+          description: value.description || ''
+        });
+      }
+    }
+  }
+
+  // Extract composite text styles (e.g. heading/h1)
+  if (typographyTokens.styles) {
+    textStyles.push(...extractTextStyles(typographyTokens.styles, tokens));
+  }
+
+  return textStyles;
+}
+
+/**
+ * Extract composite text styles
+ * Line height is given in pixels, like Figma's `lineHeightPx`
+ * @param {Object} styleTokens - Typography tokens with object values
+ * @param {Object} tokens - All tokens, for resolving references
+ * @param {string} prefix - Figma name prefix for this level
+ * @returns {Array} - Figma-style text objects
+ */
+function extractTextStyles(styleTokens, tokens, prefix = '') {
+  const textStyles = [];
+
+  for (const [key, value] of Object.entries(styleTokens)) {
+    const name = prefix ? `${prefix}/${key}` : key;
+
+    if (value.type === 'typography') {
+      const style = Object.fromEntries(
+        Object.entries(value.value).map(([property, propertyValue]) => [property, resolveReference(propertyValue, tokens)])
+      );
+      const fontSize = parseFloat(style.fontSize);
+
+      textStyles.push({
+        key: `text-style-${name.replace(/\//g, '-')}`,
+        name,
+        styleType: 'TEXT',
+        fontFamily: style.fontFamily,
+        fontSize,
+        fontWeight: parseInt(style.fontWeight),
+        lineHeight: style.lineHeight !== undefined ? parseFloat(style.lineHeight) * fontSize : undefined,
+        letterSpacing: style.letterSpacing !== undefined ? parseFloat(style.letterSpacing) : undefined,
+        description: value.description || ''
+      });
+    } else if (typeof value === 'object' && !value.type) {
+      textStyles.push(...extractTextStyles(value, tokens, name));
+    }
+  }
+
   return textStyles;
 }
 
+/**
+ * Resolve a token reference (e.g. "{typography.fontSize.base}") to its value
+ * @param {*} value - Token value, possibly a reference
+ * @param {Object} tokens - All tokens
+ * @returns {*} - Resolved value
+ */
+function resolveReference(value, tokens) {
+  const match = typeof value === 'string' && value.match(/^\{([^{}]+)\}$/);
+  if (!match) return value;
+
+  const target = match[1].split('.').reduce((group, key) => group?.[key], tokens);
+  if (target?.value === undefined) {
+    throw new Error(`Reference ${value} does not point to a token`);
+  }
+
+  return resolveReference(target.value, tokens);
+}
+
 /**
  * Extract shadow/effect tokens
  * @param {Object} shadowTokens - Shadow tokens
@@ -171,8 +534,30 @@ function extractEffects(shadowTokens) {
         key: `shadow-${key}`,
         name: `shadow/${key}`,
         styleType: 'EFFECT',
-        type: 'DROP_SHADOW',
-        value: value.value,
+        effects: cssShadowToFigmaEffects(value.value),
+        description: value.description || ''
+      });
+    }
+  }
+
+  return effects;
+}
+
+/**
+ * Extract blur tokens as layer blur effect styles
+ * @param {Object} blurTokens - Blur tokens (radius in px)
+ * @returns {Array} - Figma-style effect objects
+ */
+function extractBlurs(blurTokens) {
+  const effects = [];
+
+  for (const [key, value] of Object.entries(blurTokens)) {
+    if (value.type === 'blur') {
+      effects.push({
+        key: `blur-${key}`,
+        name: `blur/${key}`,
+        styleType: 'EFFECT',
+        effects: [{ type: 'LAYER_BLUR', visible: true, radius: parseFloat(value.value) }],
         description: value.description || ''
       });
     }
@@ -181,10 +566,48 @@ function extractEffects(shadowTokens) {
   return effects;
 }
 
+/**
+ * Convert a CSS box-shadow to Figma shadow effects
+ * Layers are "[inset] <x> <y> <blur> <spread> <color>" with px lengths and
+ * rgba() or hex colors; Figma lists them bottom to top, CSS top to bottom
+ * @param {string} css - CSS box-shadow
+ * @returns {Array} - Figma DROP_SHADOW / INNER_SHADOW effects
+ */
+function cssShadowToFigmaEffects(css) {
+  return css.split(/,(?![^(]*\))/).map(layer => {
+    const color = layer.match(/#[0-9a-f]{3,8}|rgba?\([^)]*\)/i)?.[0];
+    if (!color) {
+      throw new Error(`Unsupported shadow: ${css}`);
+    }
+
+    const [x = 0, y = 0, radius = 0, spread = 0] = layer.replace(color, '').replace('inset', '').trim().split(/\s+/).map(parseFloat);
+
+    return {
+      type: /\binset\b/.test(layer) ? 'INNER_SHADOW' : 'DROP_SHADOW',
+      visible: true,
+      color: color.startsWith('#') ? hexToRgb(color) : rgbaToFigma(color),
+      offset: { x, y },
+      radius,
+      spread,
+      blendMode: 'NORMAL'
+    };
+  }).reverse();
+}
+
+/**
+ * Convert a CSS rgb()/rgba() color to Figma RGBA (0-1 range)
+ * @param {string} css - e.g. "rgba(0, 0, 0, 0.1)"
+ * @returns {Object} - RGBA object
+ */
+function rgbaToFigma(css) {
+  const [r, g, b, a = 1] = css.match(/[\d.]+/g).map(Number);
+  return { r: r / 255, g: g / 255, b: b / 255, a };
+}
+
 /**
  * Convert hex color to Figma RGB format (0-1 range)
- * @param {string} hex - Hex color value (e.g., "#FF0000")
- * @returns {Object} - RGB object with r, g, b values between 0-1
+ * @param {string} hex - Hex color value (e.g., "#FF0000", or "#FF000080" with alpha)
+ * @returns {Object} - RGBA object with r, g, b, a values between 0-1
  */
 function hexToRgb(hex) {
   // Remove # if present
@@ -194,8 +617,50 @@ function hexToRgb(hex) {
   const r = parseInt(hex.substring(0, 2), 16) / 255;
   const g = parseInt(hex.substring(2, 4), 16) / 255;
   const b = parseInt(hex.substring(4, 6), 16) / 255;
+  const a = hex.length === 8 ? parseInt(hex.substring(6, 8), 16) / 255 : 1;
+
+  return { r, g, b, a };
+}
+
+/**
+ * Convert a CSS gradient to a Figma gradient paint
+ * Supports what the sample tokens use: linear-gradient(<angle>deg, ...) and
+ * radial-gradient(<rx>% <ry>% at <x>% <y>%, ...), with hex stops at percentages
+ * @param {string} css - CSS gradient
+ * @returns {Object} - Figma paint with handle positions (fractions of the box) and stops
+ */
+function cssGradientToFigmaPaint(css) {
+  const [, kind, args] = css.match(/^(linear|radial)-gradient\((.*)\)$/) || [];
+  if (!kind) {
+    throw new Error(`Unsupported gradient: ${css}`);
+  }
 
-  return { r, g, b, a: 1 };
+  const [shape, ...stopArgs] = args.split(/,\s*/);
+  const gradientStops = stopArgs.map(stop => {
+    const [color, position] = stop.trim().split(/\s+/);
+    return { color: hexToRgb(color), position: parseFloat(position) / 100 };
+  });
+
+  if (kind === 'linear') {
+    // CSS angles start at "to top" and turn clockwise
+    const angle = parseFloat(shape) * Math.PI / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    const start = { x: 0.5 - dx / 2, y: 0.5 - dy / 2 };
+
+    return {
+      type: 'GRADIENT_LINEAR',
+      gradientHandlePositions: [start, { x: 0.5 + dx / 2, y: 0.5 + dy / 2 }, { x: start.x - dy / 2, y: start.y + dx / 2 }],
+      gradientStops
+    };
+  }
+
+  const [radiusX, radiusY, x, y] = shape.replace('at', '').trim().split(/\s+/).map(part => parseFloat(part) / 100);
+  return {
+    type: 'GRADIENT_RADIAL',
+    gradientHandlePositions: [{ x, y }, { x: x + radiusX, y }, { x, y: y + radiusY }],
+    gradientStops
+  };
 }
 
 /**
@@ -206,10 +671,13 @@ export async function getTokenStats() {
   const data = await fetchFileStyles();
   const stats = data.styles;
 
+  const variables = Object.keys(data.variables).length;
+
   return {
-    total: stats.colors.length + stats.text.length + stats.effects.length,
+    total: stats.colors.length + stats.text.length + stats.effects.length + variables,
     colors: stats.colors.length,
     typography: stats.text.length,
-    effects: stats.effects.length
+    effects: stats.effects.length,
+    variables
   };
 }
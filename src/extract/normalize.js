@@ -2,10 +2,41 @@ import chalk from 'chalk';
 
 /**
  * Token Normalization Module
- * Converts Figma-style tokens to standardized DTCG (Design Token Community Group) format
+ * Converts Figma-style tokens to the pipeline's normalized token format
+ * (`value`/`type`/`description`, the shape Style Dictionary reads)
  * Handles conversions like RGB (0-1) to hex, naming standardization, and metadata enrichment
+ *
+ * toDtcgTokens() converts normalized tokens to spec-compliant DTCG (Design Token
+ * Community Group) format, and fromDtcgTokens() converts them back.
  */
 
+// Token types defined by the DTCG spec
+const DTCG_TYPES = [
+  'color', 'dimension', 'fontFamily', 'fontWeight', 'duration', 'cubicBezier', 'number',
+  'strokeStyle', 'border', 'transition', 'shadow', 'gradient', 'typography'
+];
+
+// $extensions namespaces for Figma provenance and for pipeline data without a DTCG equivalent
+export const FIGMA_EXTENSION = 'com.figma';
+export const PIPELINE_EXTENSION = 'com.design-token-pipeline';
+
+// Variable scopes whose FLOAT values are pixel dimensions
+const DIMENSION_SCOPES = [
+  'CORNER_RADIUS',
+  'WIDTH_HEIGHT',
+  'GAP',
+  'STROKE_FLOAT',
+  'EFFECT_FLOAT',
+  'FONT_SIZE',
+  'LINE_HEIGHT',
+  'LETTER_SPACING',
+  'PARAGRAPH_SPACING',
+  'PARAGRAPH_INDENT'
+];
+
+// Text style properties, in the order composite typography values list them
+const TEXT_PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
 /**
  * Normalize all tokens from Figma format to standard format
  * @param {Object} figmaData - Raw data from Figma API (or mock)
@@ -20,26 +51,35 @@ export function normalizeTokens(figmaData) {
       fontFamily: {},
       fontSize: {},
       fontWeight: {},
-      lineHeight: {}
+      lineHeight: {},
+      letterSpacing: {}
     },
     effects: {},
     metadata: {
       source: 'figma',
       extractedAt: new Date().toISOString(),
       fileName: figmaData.name,
-      version: figmaData.version
+      // Figma's own file version; the token package version is set by the pipeline
+      figmaVersion: figmaData.version
     }
   };
 
+  // Figma names that normalize to a path already in use (e.g. "primary/500" twice, or "brand" and "brand/accent")
+  const collisions = [];
+  const collect = group => (path, replaced, token) => collisions.push({
+    path: [group, ...path].filter(Boolean).join('.'),
+    figmaNames: [...getFigmaNames(replaced), ...getFigmaNames(token)]
+  });
+
   // Normalize colors
   if (figmaData.styles?.colors) {
-    normalized.colors = normalizeColors(figmaData.styles.colors);
+    normalized.colors = normalizeColors(figmaData.styles.colors, collect('colors'));
     console.log(chalk.green(`✓ Normalized ${Object.keys(normalized.colors).length} color token(s)`));
   }
 
   // Normalize typography
   if (figmaData.styles?.text) {
-    const typography = normalizeTypography(figmaData.styles.text);
+    const typography = normalizeTypography(figmaData.styles.text, collect('typography'));
     normalized.typography = { ...normalized.typography, ...typography };
     const totalTypography = Object.values(typography).reduce((sum, category) => sum + Object.keys(category).length, 0);
     console.log(chalk.green(`✓ Normalized ${totalTypography} typography token(s)`));
@@ -47,174 +87,515 @@ export function normalizeTokens(figmaData) {
 
   // Normalize effects (shadows, etc.)
   if (figmaData.styles?.effects) {
-    normalized.effects = normalizeEffects(figmaData.styles.effects);
+    normalized.effects = normalizeEffects(figmaData.styles.effects, collect('effects'));
     console.log(chalk.green(`✓ Normalized ${Object.keys(normalized.effects).length} effect token(s)`));
   }
 
+  // Normalize Figma Variables (with per-mode values)
+  if (figmaData.variables && Object.keys(figmaData.variables).length > 0) {
+    const variableTokens = normalizeVariables(figmaData.variables, figmaData.variableCollections || {}, collect());
+    mergeTokens(normalized, variableTokens, collect());
+    normalized.metadata.modes = getCollectionModes(figmaData.variableCollections || {});
+    console.log(chalk.green(`✓ Normalized ${Object.keys(figmaData.variables).length} variable(s) from ${normalized.metadata.modes.length} collection(s)`));
+  }
+
+  // The later definition is kept; validation reports every collision as an error
+  if (collisions.length > 0) {
+    collisions.forEach(({ path, figmaNames }) =>
+      console.warn(chalk.yellow(`⚠ ${figmaNames.map(name => `"${name}"`).join(' and ')} normalize to ${path}; keeping the last`)));
+    normalized.metadata.collisions = collisions;
+  }
+
   return normalized;
 }
 
 /**
  * Normalize color tokens
- * Convert Figma RGB (0-1) to hex and organize by naming convention
- * @param {Array} colors - Figma color styles
- * @returns {Object} - Normalized color tokens
+ * Convert Figma paints to hex colors or CSS gradients and organize by naming convention
+ * @param {Array} colors - Figma color (fill) styles
+ * @param {Function} onCollision - Called with (path, replaced, token) when two styles share a path
+ * @returns {Object} - Normalized color and gradient tokens
  */
-export function normalizeColors(colors) {
+export function normalizeColors(colors, onCollision) {
   const normalized = {};
 
   for (const color of colors) {
     // Parse the Figma style name (e.g., "primary/500" or "neutral/white")
     const namePath = parseFigmaName(color.name);
 
-    // Convert Figma RGB to hex
-    let hexValue;
-    if (color.color) {
-      hexValue = rgbToHex(color.color.r * 255, color.color.g * 255, color.color.b * 255);
-    } else if (color.value) {
+    let paint;
+    if (color.fills) {
+      paint = figmaPaintsToToken(color.fills);
+      if (!paint) {
+        console.warn(chalk.yellow(`⚠ Skipping fill style "${color.name}": no visible solid or gradient paint`));
+        continue;
+      }
+    } else if (color.color) {
+      // Convert Figma RGB to hex
+      paint = { value: figmaColorToHex(color.color), type: 'color' };
+    } else {
       // Already in hex format (from mock API)
-      hexValue = color.value;
+      paint = { value: color.value, type: 'color' };
     }
 
     // Create nested structure based on name path
     setNestedValue(normalized, namePath, {
-      value: hexValue,
-      type: 'color',
-      description: color.description || `Color: ${color.name}`,
-      source: {
-        figmaKey: color.key,
-        figmaName: color.name
-      }
-    });
+      value: paint.value,
+      type: paint.type,
+      description: color.description || `${paint.type === 'gradient' ? 'Gradient' : 'Color'}: ${color.name}`,
+      source: getStyleSource(color)
+    }, onCollision);
   }
 
   return normalized;
 }
 
+/**
+ * Convert the fills of a Figma fill style to a token value
+ * A single solid paint is a `color`; gradients and stacks of several paints
+ * are a `gradient` whose value lists CSS background layers, topmost first
+ * (Figma lists fills bottom to top). Hidden and image paints are ignored
+ * @param {Array} paints - Figma paints
+ * @returns {Object|null} - { value, type }, or null if no paint is usable
+ */
+function figmaPaintsToToken(paints) {
+  const visible = paints.filter(paint => paint.visible !== false && (paint.type === 'SOLID' || paint.type.startsWith('GRADIENT_')));
+  if (visible.length === 0) return null;
+
+  if (visible.length === 1 && visible[0].type === 'SOLID') {
+    return { value: figmaColorToHex(visible[0].color, visible[0].opacity), type: 'color' };
+  }
+
+  return {
+    value: [...visible].reverse().map(figmaPaintToCss).join(', '),
+    type: 'gradient'
+  };
+}
+
+/**
+ * Convert one Figma paint to a CSS background layer
+ * Handle positions are fractions of the node's box; lengths along the
+ * gradient line are mapped to CSS percentages as they are
+ * @param {Object} paint - Figma paint (SOLID or GRADIENT_*)
+ * @returns {string} - CSS gradient
+ */
+function figmaPaintToCss(paint) {
+  if (paint.type === 'SOLID') {
+    const color = figmaColorToHex(paint.color, paint.opacity);
+    return `linear-gradient(${color}, ${color})`;
+  }
+
+  const [start, end, width] = paint.gradientHandlePositions || [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }];
+  const stops = (paint.gradientStops || [])
+    .map(stop => `${figmaColorToHex(stop.color, paint.opacity)} ${round(stop.position * 100)}%`)
+    .join(', ');
+  const center = `${round(start.x * 100)}% ${round(start.y * 100)}%`;
+
+  // CSS angles start at "to top" and turn clockwise
+  const angle = round(((Math.atan2(end.x - start.x, start.y - end.y) * 180 / Math.PI) + 360) % 360);
+
+  switch (paint.type) {
+    case 'GRADIENT_LINEAR':
+      return `linear-gradient(${angle}deg, ${stops})`;
+    case 'GRADIENT_ANGULAR':
+      return `conic-gradient(from ${angle}deg at ${center}, ${stops})`;
+    default: {
+      // GRADIENT_RADIAL; GRADIENT_DIAMOND has no CSS equivalent and is drawn radial
+      const radiusX = round(Math.hypot(end.x - start.x, end.y - start.y) * 100);
+      const radiusY = round(Math.hypot(width.x - start.x, width.y - start.y) * 100);
+      return `radial-gradient(${radiusX}% ${radiusY}% at ${center}, ${stops})`;
+    }
+  }
+}
+
+/**
+ * Convert a Figma color (channels 0-1) to hex, keeping alpha
+ * @param {Object} color - Figma RGBA color
+ * @param {number} opacity - Paint opacity, multiplied into the alpha
+ * @returns {string} - #RRGGBB, or #RRGGBBAA when translucent
+ */
+function figmaColorToHex(color, opacity = 1) {
+  return rgbToHex(color.r * 255, color.g * 255, color.b * 255, (color.a ?? 1) * opacity);
+}
+
+/**
+ * Helper: Round to two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * Normalize typography tokens
+ * Text styles that set a single property (e.g. "fontSize/base") become
+ * atoms in that property's group. Text styles that set several properties
+ * (e.g. "heading/h1") become composite `typography` tokens under `styles`
+ * whose properties reference atoms: an existing atom with the same value, or
+ * a new one named after the text style
  * @param {Array} textStyles - Figma text styles
+ * @param {Function} onCollision - Called with (path, replaced, token) when two styles share a path
  * @returns {Object} - Normalized typography tokens
  */
-export function normalizeTypography(textStyles) {
+export function normalizeTypography(textStyles, onCollision) {
   const normalized = {
     fontFamily: {},
     fontSize: {},
     fontWeight: {},
-    lineHeight: {}
+    lineHeight: {},
+    letterSpacing: {}
   };
 
-  for (const style of textStyles) {
+  const isComposite = style => TEXT_PROPERTIES.filter(property => style[property] !== undefined).length > 1;
+
+  for (const style of textStyles.filter(style => !isComposite(style))) {
     const namePath = parseFigmaName(style.name);
-    const category = namePath[0]; // e.g., "fontFamily", "fontSize", etc.
     const tokenName = namePath.slice(1).join('-') || namePath[0];
 
-    // Organize by typography property
-    if (style.fontFamily) {
-      setNestedValue(normalized.fontFamily, [tokenName], {
+    for (const property of TEXT_PROPERTIES) {
+      if (style[property] === undefined) continue;
+      setNestedValue(normalized, [property, tokenName], toTypographyAtom(style, property), onCollision);
+    }
+  }
+
+  // Atoms that composites may share; atoms created for one text style are not shared
+  const sharedAtoms = Object.fromEntries(
+    TEXT_PROPERTIES.map(property => [property, Object.entries(normalized[property])])
+  );
+
+  for (const style of textStyles.filter(isComposite)) {
+    const namePath = parseFigmaName(style.name);
+    const value = {};
+
+    for (const property of TEXT_PROPERTIES) {
+      if (style[property] === undefined) continue;
+
+      const atom = toTypographyAtom(style, property);
+      let [atomName] = sharedAtoms[property].find(([, existing]) => isSameValue(existing.value, atom.value)) || [];
+
+      if (!atomName) {
+        atomName = namePath.join('-');
+        setNestedValue(normalized, [property, atomName], atom, onCollision);
+      }
+
+      value[property] = `{typography.${property}.${atomName}}`;
+    }
+
+    setNestedValue(normalized, ['styles', ...namePath], {
+      value,
+      type: 'typography',
+      description: style.description || `Text style: ${style.name}`,
+      source: getStyleSource(style)
+    }, onCollision);
+  }
+
+  return normalized;
+}
+
+/**
+ * Create the atom token for one property of a text style
+ * @param {Object} style - Figma text style
+ * @param {string} property - Typography property (see TEXT_PROPERTIES)
+ * @returns {Object} - Normalized token
+ */
+function toTypographyAtom(style, property) {
+  const source = getStyleSource(style);
+
+  switch (property) {
+    case 'fontFamily':
+      return {
         value: style.fontFamily,
         type: 'fontFamily',
         description: style.description || `Font family: ${style.fontFamily}`,
-        source: {
-          figmaKey: style.key,
-          figmaName: style.name
-        }
-      });
-    }
-
-    if (style.fontSize) {
-      setNestedValue(normalized.fontSize, [tokenName], {
+        source
+      };
+    case 'fontSize':
+      return {
         value: `${style.fontSize}px`,
         type: 'dimension',
         description: style.description || `Font size: ${style.fontSize}px`,
-        source: {
-          figmaKey: style.key,
-          figmaName: style.name
-        }
-      });
-    }
-
-    if (style.fontWeight) {
-      setNestedValue(normalized.fontWeight, [tokenName], {
+        source
+      };
+    case 'fontWeight':
+      return {
         value: String(style.fontWeight),
         type: 'fontWeight',
         description: style.description || `Font weight: ${style.fontWeight}`,
-        source: {
-          figmaKey: style.key,
-          figmaName: style.name
-        }
-      });
-    }
-
-    if (style.lineHeight) {
+        source
+      };
+    case 'lineHeight': {
       // Convert to unitless ratio if possible
       const lineHeightValue = style.fontSize
         ? (style.lineHeight / style.fontSize).toFixed(2)
         : style.lineHeight;
 
-      setNestedValue(normalized.lineHeight, [tokenName], {
+      return {
         value: String(lineHeightValue),
         type: 'number',
         description: style.description || `Line height: ${lineHeightValue}`,
-        source: {
-          figmaKey: style.key,
-          figmaName: style.name
-        }
-      });
+        source
+      };
+    }
+    case 'letterSpacing': {
+      const letterSpacing = Number(style.letterSpacing.toFixed(2));
+
+      return {
+        value: `${letterSpacing}px`,
+        type: 'dimension',
+        description: style.description || `Letter spacing: ${letterSpacing}px`,
+        source
+      };
     }
   }
+}
 
-  return normalized;
+/**
+ * Helper: Compare atom values; numeric strings compare by number ("1.50" equals "1.5")
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  return a !== '' && b !== '' && !isNaN(a) && !isNaN(b) && Number(a) === Number(b);
 }
 
 /**
- * Normalize effect tokens (shadows, blurs, etc.)
+ * Normalize effect tokens (shadows and blurs)
+ * A style's drop and inner shadows become one `shadow` token whose value is
+ * a DTCG shadow object, or an array of them for several layers (topmost
+ * first, as in CSS). Layer and background blurs become `blur` tokens whose
+ * value is the blur radius. A style that mixes shadows and blurs becomes a
+ * group with one token per kind (`shadow`, `layer-blur`, `background-blur`).
+ * Hidden effects are ignored
  * @param {Array} effects - Figma effect styles
+ * @param {Function} onCollision - Called with (path, replaced, token) when two styles share a path
  * @returns {Object} - Normalized effect tokens
  */
-export function normalizeEffects(effects) {
+export function normalizeEffects(effects, onCollision) {
   const normalized = {};
 
   for (const effect of effects) {
     const namePath = parseFigmaName(effect.name);
+    const source = getStyleSource(effect);
 
-    let value;
-    if (effect.effects && effect.effects.length > 0) {
-      // Convert Figma effect format to CSS shadow format
-      value = figmaEffectToCss(effect.effects);
+    let layers;
+    if (effect.effects) {
+      layers = figmaEffectsToTokens(effect.effects);
     } else if (effect.value) {
-      // Already in CSS format (from mock API)
-      value = effect.value;
+      // Already in CSS format
+      layers = [{ value: cssShadowToDtcg(effect.value) ?? effect.value, type: 'shadow', kind: 'shadow' }];
+    } else {
+      layers = [];
     }
 
-    setNestedValue(normalized, namePath, {
-      value: value,
-      type: 'shadow',
-      description: effect.description || `Effect: ${effect.name}`,
+    if (layers.length === 0) {
+      console.warn(chalk.yellow(`⚠ Skipping effect style "${effect.name}": no visible shadow or blur`));
+      continue;
+    }
+
+    for (const { value, type, kind } of layers) {
+      setNestedValue(normalized, layers.length > 1 ? [...namePath, kind] : namePath, {
+        value,
+        type,
+        description: effect.description || `${type === 'blur' ? 'Blur' : 'Shadow'}: ${effect.name}`,
+        source
+      }, onCollision);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize Figma Variables into tokens
+ * The default mode's value becomes the token value; when the collection has
+ * several modes, each mode's value is kept under `modes`, keyed by mode name
+ * @param {Object} variables - Figma variables keyed by variable ID
+ * @param {Object} variableCollections - Figma variable collections keyed by collection ID
+ * @param {Function} onCollision - Called with (path, replaced, token) when two variables share a path
+ * @returns {Object} - Normalized variable tokens
+ */
+export function normalizeVariables(variables, variableCollections, onCollision) {
+  const normalized = {};
+
+  for (const variable of Object.values(variables)) {
+    const collection = variableCollections[variable.variableCollectionId];
+    if (!collection) {
+      console.warn(chalk.yellow(`⚠ Skipping variable "${variable.name}": collection not found`));
+      continue;
+    }
+
+    const namePath = parseFigmaName(variable.name);
+    const type = getVariableTokenType(variable);
+
+    const modes = {};
+    for (const mode of collection.modes) {
+      const rawValue = getVariableModeValue(variable, mode.modeId, variables, variableCollections);
+      modes[standardizeTokenName(mode.name)] = formatVariableValue(rawValue, type);
+    }
+
+    const defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId) || collection.modes[0];
+
+    const token = {
+      value: modes[standardizeTokenName(defaultMode.name)],
+      type,
+      description: variable.description || `Variable: ${variable.name}`,
       source: {
-        figmaKey: effect.key,
-        figmaName: effect.name
+        figmaKey: variable.key,
+        figmaName: variable.name,
+        figmaId: variable.id,
+        collection: collection.name
       }
-    });
+    };
+
+    // Only multi-mode collections (Light/Dark, Brand A/B) carry per-mode values
+    if (collection.modes.length > 1) {
+      token.modes = modes;
+    }
+
+    setNestedValue(normalized, namePath, token, onCollision);
   }
 
   return normalized;
 }
 
+/**
+ * List the modes of each variable collection
+ * @param {Object} variableCollections - Figma variable collections keyed by collection ID
+ * @returns {Array} - Collection names with their normalized mode names
+ */
+function getCollectionModes(variableCollections) {
+  return Object.values(variableCollections).map(collection => {
+    const defaultMode = collection.modes.find(mode => mode.modeId === collection.defaultModeId) || collection.modes[0];
+    return {
+      collection: collection.name,
+      modes: collection.modes.map(mode => standardizeTokenName(mode.name)),
+      defaultMode: defaultMode ? standardizeTokenName(defaultMode.name) : undefined
+    };
+  });
+}
+
+/**
+ * Get a variable's raw value for a mode
+ * VARIABLE_ALIAS values become token references (e.g. "{colors.primary.500}")
+ * so Style Dictionary can keep the link with `outputReferences`
+ * @param {Object} variable - Figma variable
+ * @param {string} modeId - Mode ID to read
+ * @param {Object} variables - All Figma variables keyed by ID
+ * @param {Object} variableCollections - All Figma variable collections keyed by ID
+ * @returns {*} - Raw Figma value (RGBA object, number, string, boolean) or reference string
+ */
+function getVariableModeValue(variable, modeId, variables, variableCollections) {
+  let value = variable.valuesByMode[modeId];
+  if (value === undefined) {
+    const collection = variableCollections[variable.variableCollectionId];
+    value = variable.valuesByMode[collection?.defaultModeId];
+  }
+
+  if (value && value.type === 'VARIABLE_ALIAS') {
+    const target = variables[value.id];
+    if (!target) {
+      console.warn(chalk.yellow(`⚠ Variable "${variable.name}" aliases unknown variable ${value.id}`));
+      return undefined;
+    }
+    return toTokenReference(target.name);
+  }
+
+  return value;
+}
+
+/**
+ * Convert a Figma name to a token reference
+ * Converts "colors/primary/500" to "{colors.primary.500}"
+ * @param {string} name - Figma variable or style name
+ * @returns {string} - Token reference
+ */
+function toTokenReference(name) {
+  return `{${parseFigmaName(name).join('.')}}`;
+}
+
+/**
+ * Map a Figma variable's resolved type and scopes to a token type
+ * @param {Object} variable - Figma variable
+ * @returns {string} - Token type
+ */
+function getVariableTokenType(variable) {
+  const scopes = variable.scopes || [];
+
+  switch (variable.resolvedType) {
+    case 'COLOR':
+      return 'color';
+    case 'FLOAT':
+      if (scopes.includes('FONT_WEIGHT')) return 'fontWeight';
+      if (scopes.some(scope => DIMENSION_SCOPES.includes(scope))) return 'dimension';
+      return 'number';
+    case 'STRING':
+      return scopes.includes('FONT_FAMILY') ? 'fontFamily' : 'string';
+    case 'BOOLEAN':
+      return 'boolean';
+    default:
+      return 'unknown';
+  }
+}
+
+/**
+ * Format a raw Figma variable value for its token type
+ * @param {*} value - Raw Figma value
+ * @param {string} type - Token type
+ * @returns {*} - Token value
+ */
+function formatVariableValue(value, type) {
+  if (value === undefined || value === null) return value;
+  if (isTokenReference(value)) return value;
+
+  switch (type) {
+    case 'color':
+      return figmaColorToHex(value);
+    case 'dimension':
+      return `${value}px`;
+    case 'fontWeight':
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check whether a value is a token reference (e.g. "{colors.primary.500}")
+ * @param {*} value - Token value
+ * @returns {boolean} - True if the value is a reference
+ */
+export function isTokenReference(value) {
+  return typeof value === 'string' && /^\{[^{}]+\}$/.test(value);
+}
+
 /**
  * Convert Figma RGB values to hex color
  * @param {number} r - Red (0-255)
  * @param {number} g - Green (0-255)
  * @param {number} b - Blue (0-255)
- * @returns {string} - Hex color (e.g., "#FF0000")
+ * @param {number} a - Alpha (0-1); below 1 it is appended as a fourth byte
+ * @returns {string} - Hex color (e.g., "#FF0000", or "#FF000080" at 50% alpha)
  */
-export function rgbToHex(r, g, b) {
+export function rgbToHex(r, g, b, a = 1) {
   const toHex = (value) => {
     const hex = Math.round(value).toString(16).padStart(2, '0');
     return hex.toUpperCase();
   };
 
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+  const hex = `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+  return a < 1 ? hex + toHex(a * 255) : hex;
+}
+
+/**
+ * Token source for a Figma style
+ * Styles from a team library also keep their publish metadata
+ * @param {Object} style - Figma style
+ * @returns {Object} - Token source
+ */
+function getStyleSource(style) {
+  return {
+    figmaKey: style.key,
+    figmaName: style.name,
+    ...(style.published ? { published: style.published } : {})
+  };
 }
 
 /**
@@ -236,55 +617,112 @@ function parseFigmaName(name) {
 
 /**
  * Set a value in a nested object using a path array
+ * Tokens already at the path, or in the way of it, are replaced and reported
  * @param {Object} obj - Target object
  * @param {Array} path - Path array
  * @param {*} value - Value to set
+ * @param {Function} onCollision - Called with (path, replaced, value) for each replaced token or group of tokens
  */
-function setNestedValue(obj, path, value) {
+function setNestedValue(obj, path, value, onCollision = () => {}) {
   let current = obj;
 
   for (let i = 0; i < path.length - 1; i++) {
     const key = path[i];
-    if (!(key in current)) {
+    if (current[key]?.value !== undefined) {
+      onCollision(path.slice(0, i + 1), current[key], value);
+      current[key] = {};
+    } else if (!(key in current)) {
       current[key] = {};
     }
     current = current[key];
   }
 
   const lastKey = path[path.length - 1];
+  if (getFigmaNames(current[lastKey]).length > 0) {
+    onCollision(path, current[lastKey], value);
+  }
   current[lastKey] = value;
 }
 
 /**
- * Convert Figma effect format to CSS shadow format
- * @param {Array} effects - Figma effects array
- * @returns {string} - CSS shadow value
+ * Deep merge a token tree into another
+ * Tokens (objects with a value) replace whatever is at their path
+ * @param {Object} target - Token tree to merge into
+ * @param {Object} source - Token tree to merge from
+ * @param {Function} onCollision - Called with (path, replaced, token) for each replaced token or group of tokens
+ * @param {Array} path - Path of target in the full tree
+ * @returns {Object} - The target tree
  */
-function figmaEffectToCss(effects) {
-  const shadows = [];
+function mergeTokens(target, source, onCollision = () => {}, path = []) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && value.value === undefined &&
+        target[key] && typeof target[key] === 'object' && target[key].value === undefined) {
+      mergeTokens(target[key], value, onCollision, [...path, key]);
+    } else {
+      if (getFigmaNames(target[key]).length > 0) {
+        onCollision([...path, key], target[key], value);
+      }
+      target[key] = value;
+    }
+  }
 
-  for (const effect of effects) {
-    if (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW') {
-      const { offset, radius, color } = effect;
-      const x = offset?.x || 0;
-      const y = offset?.y || 0;
-      const blur = radius || 0;
-      const spread = effect.spread || 0;
-
-      // Convert RGBA color
-      const r = Math.round((color?.r || 0) * 255);
-      const g = Math.round((color?.g || 0) * 255);
-      const b = Math.round((color?.b || 0) * 255);
-      const a = color?.a !== undefined ? color.a : 1;
-
-      const colorString = `rgba(${r}, ${g}, ${b}, ${a})`;
-      const prefix = effect.type === 'INNER_SHADOW' ? 'inset ' : '';
-
-      shadows.push(`${prefix}${x}px ${y}px ${blur}px ${spread}px ${colorString}`);
+  return target;
+}
+
+/**
+ * Helper: Figma names of a token, or of every token in a group
+ */
+function getFigmaNames(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (node.value !== undefined) return [node.source?.figmaName ?? node.description];
+  return Object.values(node).flatMap(getFigmaNames);
+}
+
+/**
+ * Convert the effects of a Figma effect style to token values, one per kind
+ * @param {Array} effects - Figma effects (DROP_SHADOW, INNER_SHADOW, LAYER_BLUR, BACKGROUND_BLUR)
+ * @returns {Array} - { value, type, kind } for the shadows, the layer blur and the background blur present
+ */
+function figmaEffectsToTokens(effects) {
+  const visible = effects.filter(effect => effect.visible !== false);
+  const layers = [];
+
+  // Figma lists effects bottom to top; CSS lists shadows top to bottom
+  const shadows = visible
+    .filter(effect => effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    .reverse()
+    .map(figmaShadowToDtcg);
+
+  if (shadows.length > 0) {
+    layers.push({ value: shadows.length === 1 ? shadows[0] : shadows, type: 'shadow', kind: 'shadow' });
+  }
+
+  for (const [figmaType, kind] of [['LAYER_BLUR', 'layer-blur'], ['BACKGROUND_BLUR', 'background-blur']]) {
+    const blur = visible.find(effect => effect.type === figmaType);
+    if (blur) {
+      layers.push({ value: `${round(blur.radius || 0)}px`, type: 'blur', kind });
     }
   }
 
-  return shadows.join(', ');
+  return layers;
+}
+
+/**
+ * Convert a Figma drop or inner shadow to a DTCG shadow object
+ * @param {Object} effect - Figma shadow effect
+ * @returns {Object} - { color, offsetX, offsetY, blur, spread, inset? }
+ */
+function figmaShadowToDtcg(effect) {
+  const { offset, radius, spread, color } = effect;
+
+  return {
+    color: figmaColorToHex(color || { r: 0, g: 0, b: 0, a: 1 }),
+    offsetX: `${round(offset?.x || 0)}px`,
+    offsetY: `${round(offset?.y || 0)}px`,
+    blur: `${round(radius || 0)}px`,
+    spread: `${round(spread || 0)}px`,
+    ...(effect.type === 'INNER_SHADOW' ? { inset: true } : {})
+  };
 }
 
 /**
@@ -302,18 +740,193 @@ export function standardizeTokenName(name) {
 }
 
 /**
- * Add metadata to tokens
- * @param {Object} tokens - Token object
- * @param {Object} metadata - Metadata to add
- * @returns {Object} - Tokens with metadata
+ * Convert normalized tokens to DTCG format
+ * Tokens get `$value`, `$type` and `$description`; Figma provenance goes to
+ * `$extensions["com.figma"]`, per-mode values to
+ * `$extensions["com.design-token-pipeline"].modes`, and the root metadata to
+ * the root `$extensions["com.design-token-pipeline"]`
+ * @param {Object} tokens - Normalized tokens
+ * @returns {Object} - DTCG token tree
  */
-export function addMetadata(tokens, metadata) {
-  return {
-    ...tokens,
-    $metadata: {
-      generatedAt: new Date().toISOString(),
-      version: '1.0.0',
-      ...metadata
+export function toDtcgTokens(tokens) {
+  const { metadata, ...tree } = tokens;
+  const dtcg = convertTree(tree, toDtcgToken);
+
+  if (metadata) {
+    dtcg.$extensions = { [PIPELINE_EXTENSION]: { metadata } };
+  }
+
+  return dtcg;
+}
+
+/**
+ * Convert tokens written by toDtcgTokens() back to normalized tokens
+ * @param {Object} dtcg - DTCG token tree
+ * @returns {Object} - Normalized tokens
+ */
+export function fromDtcgTokens(dtcg) {
+  const { $extensions, ...tree } = dtcg;
+  const tokens = convertTree(tree, fromDtcgToken, key => !key.startsWith('$'));
+
+  if ($extensions?.[PIPELINE_EXTENSION]?.metadata) {
+    tokens.metadata = $extensions[PIPELINE_EXTENSION].metadata;
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert one normalized token to a DTCG token
+ * @param {Object} token - Normalized token
+ * @returns {Object} - DTCG token
+ */
+export function toDtcgToken(token) {
+  const dtcgToken = { $value: toDtcgValue(token.value, token.type) };
+  const extensions = {};
+
+  // DTCG gradients are stop lists; CSS gradient strings keep their type in the pipeline extension
+  const isCssGradient = token.type === 'gradient' && typeof dtcgToken.$value === 'string' && !isTokenReference(dtcgToken.$value);
+
+  if (DTCG_TYPES.includes(token.type) && !isCssGradient) {
+    dtcgToken.$type = token.type;
+  } else if (token.type) {
+    extensions[PIPELINE_EXTENSION] = { type: token.type };
+  }
+
+  if (token.description) {
+    dtcgToken.$description = token.description;
+  }
+
+  const { figmaKey, figmaName, figmaId, collection, ...otherSource } = token.source || {};
+  if (figmaKey || figmaName) {
+    extensions[FIGMA_EXTENSION] = { key: figmaKey, name: figmaName, id: figmaId, collection };
+  }
+  if (Object.keys(otherSource).length > 0) {
+    extensions[PIPELINE_EXTENSION] = { ...extensions[PIPELINE_EXTENSION], source: otherSource };
+  }
+
+  if (token.modes) {
+    extensions[PIPELINE_EXTENSION] = {
+      ...extensions[PIPELINE_EXTENSION],
+      modes: Object.fromEntries(
+        Object.entries(token.modes).map(([mode, value]) => [mode, toDtcgValue(value, token.type)])
+      )
+    };
+  }
+
+  if (Object.keys(extensions).length > 0) {
+    dtcgToken.$extensions = extensions;
+  }
+
+  return dtcgToken;
+}
+
+/**
+ * Convert one DTCG token written by toDtcgToken() back to a normalized token
+ */
+function fromDtcgToken(dtcgToken) {
+  const { [FIGMA_EXTENSION]: figma, [PIPELINE_EXTENSION]: pipeline, mode } = dtcgToken.$extensions || {};
+  const type = dtcgToken.$type || pipeline?.type;
+
+  const token = {
+    value: fromDtcgValue(dtcgToken.$value),
+    type,
+    description: dtcgToken.$description || '',
+    source: {
+      ...(figma ? { figmaKey: figma.key, figmaName: figma.name, figmaId: figma.id, collection: figma.collection } : {}),
+      ...pipeline?.source
     }
   };
+
+  // Snapshots written before modes moved to the pipeline namespace keep them in `mode`
+  const modes = pipeline?.modes || mode;
+  if (modes) {
+    token.modes = Object.fromEntries(
+      Object.entries(modes).map(([name, value]) => [name, fromDtcgValue(value)])
+    );
+  }
+
+  return token;
+}
+
+/**
+ * Convert a normalized value to its DTCG form
+ * Numbers and font weights become numbers; CSS shadows become shadow objects
+ */
+function toDtcgValue(value, type) {
+  if (typeof value !== 'string' || isTokenReference(value)) return value;
+
+  switch (type) {
+    case 'number':
+    case 'fontWeight':
+      return Number.isNaN(Number(value)) ? value : Number(value);
+    case 'shadow':
+      return cssShadowToDtcg(value) ?? value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Convert a DTCG value written by toDtcgValue() back to its normalized form
+ * Shadow objects are kept as they are, since normalized shadows are objects too
+ */
+function fromDtcgValue(value) {
+  if (typeof value === 'number') return String(value);
+  return value;
+}
+
+/**
+ * Parse a CSS box-shadow into DTCG shadow objects
+ * @param {string} value - CSS shadow, e.g. "0 1px 2px 0 rgba(0, 0, 0, 0.05)"
+ * @returns {Object|Array|null} - One shadow object, an array for several layers, or null if unparseable
+ */
+function cssShadowToDtcg(value) {
+  const layers = value.split(/,(?![^(]*\))/).map(layer => {
+    const color = layer.match(/(#[0-9a-f]{3,8}|rgba?\([^)]*\))/i)?.[0];
+    const lengths = layer.replace(color || '', '').replace('inset', '').trim().split(/\s+/).filter(Boolean);
+    if (!color || lengths.length < 2 || lengths.length > 4) return null;
+
+    const [offsetX, offsetY, blur = '0', spread = '0'] = lengths.map(length => (length === '0' ? '0px' : length));
+
+    return {
+      color: cssColorToHex(color),
+      offsetX,
+      offsetY,
+      blur: blur === '0' ? '0px' : blur,
+      spread: spread === '0' ? '0px' : spread,
+      ...(/\binset\b/.test(layer) ? { inset: true } : {})
+    };
+  });
+
+  if (layers.some(layer => !layer)) return null;
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+/**
+ * Convert a CSS hex or rgb()/rgba() color to hex (#RRGGBB, or #RRGGBBAA when translucent)
+ */
+function cssColorToHex(color) {
+  if (color.startsWith('#')) return color;
+
+  const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number);
+  return rgbToHex(r, g, b, a);
+}
+
+/**
+ * Apply a token conversion to every token in a tree
+ * Tokens are objects with `value` or `$value`; other objects are groups
+ */
+function convertTree(obj, convertToken, includeKey = () => true) {
+  const converted = {};
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (!includeKey(key) || !value || typeof value !== 'object') continue;
+
+    converted[key] = 'value' in value || '$value' in value
+      ? convertToken(value)
+      : convertTree(value, convertToken, includeKey);
+  }
+
+  return converted;
 }
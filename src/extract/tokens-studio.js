@@ -0,0 +1,350 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { standardizeTokenName } from './normalize.js';
+import { TYPOGRAPHY_PROPERTIES } from './dtcg.js';
+import { countTokens, setNestedValue } from '../utils/token-tree.js';
+
+/**
+ * Tokens Studio Importer
+ * Reads Tokens Studio (Figma Tokens plugin) exports into normalized tokens
+ *
+ * An export is either one JSON file (token sets as top-level keys, plus
+ * `$themes` and `$metadata`) or a directory with one file per token set
+ * (nested folders give set names like "core/colors") plus `$themes.json`
+ * and `$metadata.json`.
+ *
+ * Each theme merges its enabled and source sets in `tokenSetOrder`, later
+ * sets overriding earlier ones. Tokens whose value differs between themes
+ * get per-theme values in `token.modes`, which the existing theme builds
+ * turn into one output per theme. Source sets are built too, since other
+ * tokens reference them.
+ */
+
+// Tokens Studio token types mapped to the pipeline's token types
+const TYPE_MAP = {
+  color: 'color',
+  dimension: 'dimension',
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  fontSizes: 'dimension',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  lineHeights: 'number',
+  opacity: 'number',
+  number: 'number',
+  boxShadow: 'shadow',
+  border: 'border',
+  typography: 'typography'
+};
+
+// Types that have no single CSS value yet; such tokens are skipped
+const UNSUPPORTED_TYPES = ['composition'];
+
+// Named font weights used by Tokens Studio
+const FONT_WEIGHTS = {
+  thin: '100',
+  hairline: '100',
+  extralight: '200',
+  ultralight: '200',
+  light: '300',
+  regular: '400',
+  normal: '400',
+  medium: '500',
+  semibold: '600',
+  demibold: '600',
+  bold: '700',
+  extrabold: '800',
+  ultrabold: '800',
+  black: '900',
+  heavy: '900'
+};
+
+/**
+ * Read and normalize a Tokens Studio export
+ * @param {string} inputPath - Single-file export or export directory
+ * @returns {Promise<Object>} - Normalized tokens
+ */
+export async function fetchTokensStudioTokens(inputPath) {
+  console.log(chalk.blue(`📥 Reading Tokens Studio export from ${inputPath}...`));
+
+  const stats = await fs.stat(inputPath);
+  const data = stats.isDirectory()
+    ? await readExportDirectory(inputPath)
+    : JSON.parse(await fs.readFile(inputPath, 'utf-8'));
+
+  console.log(chalk.green(`✓ Successfully loaded ${Object.keys(data).filter(key => !key.startsWith('$')).length} token set(s)`));
+
+  return normalizeTokensStudio(data, { fileName: path.basename(inputPath) });
+}
+
+/**
+ * Check whether a JSON document is a single-file Tokens Studio export
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean} - True if it has `$themes` or `$metadata` at the root
+ */
+export function isTokensStudioExport(data) {
+  return Boolean(data && typeof data === 'object' && ('$themes' in data || '$metadata' in data));
+}
+
+/**
+ * Normalize a single-file Tokens Studio export
+ * @param {Object} data - Token sets keyed by name, plus `$themes` and `$metadata`
+ * @param {Object} options - Normalization options
+ * @param {string} options.fileName - Name recorded in the metadata
+ * @returns {Object} - Normalized tokens
+ */
+export function normalizeTokensStudio(data, { fileName = 'Tokens Studio export' } = {}) {
+  console.log(chalk.blue('🔄 Normalizing Tokens Studio tokens...'));
+
+  const { $themes: themes = [], $metadata: metadata = {}, ...sets } = data;
+  const setOrder = getSetOrder(sets, metadata);
+
+  // Without themes every set is enabled
+  const activeThemes = themes.length > 0
+    ? themes.map(theme => ({ ...theme, key: getThemeKey(theme, themes) }))
+    : [{ key: 'default', selectedTokenSets: Object.fromEntries(setOrder.map(set => [set, 'enabled'])) }];
+
+  // Flatten each theme: path → token from the last set that defines it
+  const themeTokens = activeThemes.map(theme => {
+    const tokens = new Map();
+    for (const set of setOrder) {
+      const status = theme.selectedTokenSets?.[set];
+      if (status !== 'enabled' && status !== 'source') continue;
+      flattenSet(sets[set], set).forEach(token => tokens.set(token.path, token));
+    }
+    return tokens;
+  });
+
+  const normalized = {};
+  const paths = [...new Set(themeTokens.flatMap(tokens => [...tokens.keys()]))];
+
+  for (const tokenPath of paths) {
+    const perTheme = activeThemes
+      .map((theme, index) => ({ theme: theme.key, token: themeTokens[index].get(tokenPath) }))
+      .filter(({ token }) => token);
+
+    const base = perTheme[0].token;
+    if (UNSUPPORTED_TYPES.includes(base.type)) {
+      console.warn(chalk.yellow(`⚠ Skipping ${base.type} token "${tokenPath}": composite type not supported`));
+      continue;
+    }
+
+    const token = {
+      value: formatValue(base.value, base.type),
+      type: getTokenType(base),
+      description: base.description || '',
+      source: {
+        format: 'tokens-studio',
+        set: base.set,
+        path: tokenPath
+      }
+    };
+
+    const values = perTheme.map(({ token: themeToken }) => formatValue(themeToken.value, themeToken.type));
+    if (activeThemes.length > 1 && values.some(value => JSON.stringify(value) !== JSON.stringify(token.value))) {
+      token.modes = Object.fromEntries(perTheme.map(({ theme }, index) => [theme, values[index]]));
+    }
+
+    setNestedValue(normalized, tokenPath.split('.'), token);
+  }
+
+  normalized.metadata = {
+    source: 'tokens-studio',
+    extractedAt: new Date().toISOString(),
+    fileName,
+    tokenSets: setOrder
+  };
+
+  if (themes.length > 1) {
+    normalized.metadata.modes = getThemeCollections(activeThemes);
+  }
+
+  console.log(chalk.green(`✓ Normalized ${countTokens(normalized)} token(s) from ${setOrder.length} set(s) and ${themes.length} theme(s)`));
+
+  return normalized;
+}
+
+/**
+ * Read a multi-file export directory into the single-file shape
+ */
+async function readExportDirectory(dir) {
+  const data = {};
+
+  for (const file of await listJsonFiles(dir)) {
+    const content = JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'));
+    const name = file.replace(/\.json$/, '').split(path.sep).join('/');
+    data[name] = content;
+  }
+
+  return data;
+}
+
+/**
+ * Order token sets: `$metadata.tokenSetOrder` first, then any others
+ */
+function getSetOrder(sets, metadata) {
+  const order = (metadata.tokenSetOrder || []).filter(set => set in sets);
+  return [...order, ...Object.keys(sets).filter(set => !order.includes(set))];
+}
+
+/**
+ * Flatten a token set into tokens with dot-separated paths
+ * Accepts both the legacy (value/type) and the DTCG ($value/$type) token shape
+ */
+function flattenSet(group, set, prefix = [], inheritedType, tokens = []) {
+  const groupType = group.$type || inheritedType;
+
+  for (const [key, value] of Object.entries(group || {})) {
+    if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+    if ('$value' in value || 'value' in value) {
+      tokens.push({
+        path: [...prefix, key].join('.'),
+        value: value.$value ?? value.value,
+        type: value.$type || value.type || groupType,
+        description: value.$description || value.description,
+        set
+      });
+    } else {
+      flattenSet(value, set, [...prefix, key], groupType, tokens);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a Tokens Studio value to the pipeline's value format for its type
+ */
+function formatValue(value, type) {
+  switch (type) {
+    case 'spacing':
+    case 'sizing':
+    case 'borderRadius':
+    case 'borderWidth':
+    case 'fontSizes':
+    case 'letterSpacing':
+    case 'paragraphSpacing':
+    case 'dimension':
+      return withUnit(value);
+    case 'fontWeights':
+    case 'fontWeight':
+      return FONT_WEIGHTS[String(value).toLowerCase().replace(/[\s-]/g, '')] || String(value);
+    case 'fontFamilies':
+    case 'fontFamily':
+      return Array.isArray(value) ? value.join(', ') : value;
+    case 'typography':
+      return typeof value === 'object' ? formatTypography(value) : value;
+    case 'boxShadow':
+      return Array.isArray(value) ? value.map(formatShadow) : formatShadow(value);
+    case 'border':
+      return typeof value === 'object' ? [withUnit(value.width), value.style, value.color].join(' ') : value;
+    default:
+      return typeof value === 'number' ? String(value) : value;
+  }
+}
+
+/**
+ * Helper: Convert a Tokens Studio typography value to a composite typography value
+ * Properties are converted for their token type, as in DTCG files. Percentages are
+ * relative to the font size: a line height of "150%" becomes 1.5 and a letter
+ * spacing of "-2%" becomes "-0.02em". An "AUTO" line height becomes "normal";
+ * other properties (e.g. textCase) are dropped
+ */
+function formatTypography(typography) {
+  return Object.fromEntries(
+    Object.entries(TYPOGRAPHY_PROPERTIES)
+      .filter(([property]) => typography[property] !== undefined)
+      .map(([property, type]) => {
+        const value = typography[property];
+        const percent = String(value).match(/^(-?\d*\.?\d+)%$/);
+
+        if (property === 'lineHeight' && String(value).toUpperCase() === 'AUTO') return [property, 'normal'];
+        if (percent && property === 'lineHeight') return [property, String(Number(percent[1]) / 100)];
+        if (percent) return [property, `${Number(percent[1]) / 100}em`];
+        return [property, formatValue(value, type)];
+      })
+  );
+}
+
+/**
+ * Helper: Pipeline token type; Tokens Studio stores gradients as colors with a CSS gradient value
+ */
+function getTokenType({ type, value }) {
+  if (type === 'color' && typeof value === 'string' && /-gradient\(/.test(value)) return 'gradient';
+  return TYPE_MAP[type] || type || 'other';
+}
+
+/**
+ * Helper: Add px to unitless numbers ("16" → "16px"); other values are kept
+ */
+function withUnit(value = 0) {
+  return /^-?\d*\.?\d+$/.test(String(value)) ? `${value}px` : String(value);
+}
+
+/**
+ * Helper: Convert one Tokens Studio shadow layer to a DTCG shadow object
+ */
+function formatShadow(shadow) {
+  if (typeof shadow === 'string') return shadow;
+
+  const { x, y, blur, spread, color, type } = shadow;
+  return {
+    color,
+    offsetX: withUnit(x),
+    offsetY: withUnit(y),
+    blur: withUnit(blur),
+    spread: withUnit(spread),
+    ...(type === 'innerShadow' ? { inset: true } : {})
+  };
+}
+
+/**
+ * Helper: Theme key used in `token.modes`
+ * The group is added when two themes share a name (e.g. "brand-a-light")
+ */
+function getThemeKey(theme, themes) {
+  const shared = themes.filter(other => other.name === theme.name).length > 1;
+  return standardizeTokenName(shared && theme.group ? `${theme.group} ${theme.name}` : theme.name);
+}
+
+/**
+ * Helper: One mode collection per theme group; the first theme is the default
+ */
+function getThemeCollections(themes) {
+  const groups = new Map();
+
+  for (const theme of themes) {
+    const group = theme.group || 'Themes';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(theme.key);
+  }
+
+  return [...groups.entries()].map(([collection, modes]) => ({
+    collection,
+    modes,
+    defaultMode: modes[0]
+  }));
+}
+
+/**
+ * Helper: List JSON files under a directory, relative to it
+ */
+async function listJsonFiles(dir, base = dir, files = []) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      await listJsonFiles(fullPath, base, files);
+    } else if (entry.name.endsWith('.json')) {
+      files.push(path.relative(base, fullPath));
+    }
+  }
+
+  return files;
+}
@@ -0,0 +1,260 @@
+/**
+ * Pipeline Job Queue
+ * Runs pipeline jobs one at a time and keeps each run's artifacts
+ *
+ * Every run gets an ID and a directory, output/runs/<id>/. That directory
+ * holds run.json (status, options and the pipeline results) and the run's
+ * artifacts. Later runs then can't overwrite earlier builds.
+ *
+ * Runs of the demo tokens build into output/ and are copied afterwards.
+ * Runs of uploaded tokens build straight into their artifacts directory,
+ * so they never replace the demo output or its version history.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { runPipeline } from '../pipeline.js';
+
+const OUTPUT_DIR = path.join(process.cwd(), 'output');
+const RUNS_DIR = path.join(OUTPUT_DIR, 'runs');
+const MAX_RUNS = 20; // older runs are pruned
+
+// Generated files that are not run artifacts
+const EXCLUDED_OUTPUTS = ['runs', '.build-manifest.json'];
+
+const RUN_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+const jobs = new Map(); // queued and running jobs
+let queue = Promise.resolve();
+
+/**
+ * Queue a pipeline run
+ * Runs execute in order, one at a time; the returned job can be inspected right away
+ * @param {Object} options - Pipeline options (see runPipeline); `tokens` makes this a payload run
+ * @param {Object} hooks - Job hooks
+ * @param {Function} hooks.onProgress - Receives run-queued and pipeline progress events, tagged with the run ID
+ * @returns {Object} - { job, done } where done resolves with the finished job
+ */
+export function enqueueRun(options = {}, { onProgress } = {}) {
+  const { tokens, ...runOptions } = options;
+  const id = createRunId();
+
+  const job = {
+    id,
+    status: 'queued',
+    options: tokens ? { ...runOptions, method: 'payload' } : { method: 'mock', ...runOptions },
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    results: null
+  };
+
+  // Payload runs build in isolation, into their own artifacts directory
+  const pipelineOptions = tokens
+    ? { ...job.options, tokens, outputDir: path.relative(process.cwd(), getArtifactsDir(id)) }
+    : job.options;
+
+  const notify = (event) => onProgress?.({ ...event, runId: job.id });
+
+  jobs.set(job.id, job);
+  notify({ type: 'run-queued', timestamp: job.queuedAt, position: getQueuePosition(job.id) });
+
+  const done = queue.then(() => executeRun(job, pipelineOptions, notify));
+  queue = done.catch(() => {});
+
+  return { job, done };
+}
+
+/**
+ * List runs, newest first
+ * @returns {Promise<Array>} - Run summaries (without results)
+ */
+export async function listRuns() {
+  const finished = await readFinishedRuns();
+  const active = [...jobs.values()].filter(job => !finished.some(run => run.id === job.id));
+
+  return [...active, ...finished]
+    .map(({ results, ...summary }) => summary)
+    .sort((a, b) => b.queuedAt.localeCompare(a.queuedAt));
+}
+
+/**
+ * Get one run, including its results and artifact files
+ * @param {string} id - Run ID
+ * @returns {Promise<Object|null>} - Run, or null if unknown
+ */
+export async function getRun(id) {
+  if (!RUN_ID_PATTERN.test(id)) return null;
+  if (jobs.has(id)) return { ...jobs.get(id), files: [] };
+
+  try {
+    const run = JSON.parse(await fs.readFile(path.join(RUNS_DIR, id, 'run.json'), 'utf-8'));
+    const files = await listFiles(getArtifactsDir(id));
+
+    return {
+      ...run,
+      files: files.map(file => ({
+        ...file,
+        url: `/output/runs/${id}/artifacts/${file.path}`
+      }))
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the artifact files of a finished run
+ * @param {string} id - Run ID
+ * @returns {Promise<Array>} - Files as { path, content } (content is a Buffer)
+ */
+export async function readRunFiles(id) {
+  if (!RUN_ID_PATTERN.test(id)) return [];
+
+  const artifactsDir = getArtifactsDir(id);
+  const files = await listFiles(artifactsDir);
+
+  return Promise.all(files.map(async file => ({
+    path: file.path,
+    content: await fs.readFile(path.join(artifactsDir, file.path))
+  })));
+}
+
+/**
+ * Run a queued job and archive its artifacts
+ */
+async function executeRun(job, pipelineOptions, notify) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.results = await runPipeline({ ...pipelineOptions, onProgress: notify });
+    job.status = 'succeeded';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date().toISOString();
+
+  try {
+    await archiveRun(job, { copyOutput: !pipelineOptions.outputDir });
+    await pruneRuns();
+  } finally {
+    jobs.delete(job.id);
+  }
+
+  return job;
+}
+
+/**
+ * Write run.json to output/runs/<id>/, copying the generated output first
+ * for runs that built into output/
+ */
+async function archiveRun(job, { copyOutput }) {
+  const runDir = path.join(RUNS_DIR, job.id);
+  const artifactsDir = getArtifactsDir(job.id);
+  await fs.mkdir(artifactsDir, { recursive: true });
+
+  if (copyOutput) {
+    const entries = await fs.readdir(OUTPUT_DIR);
+    for (const entry of entries) {
+      if (EXCLUDED_OUTPUTS.includes(entry)) continue;
+      await fs.cp(path.join(OUTPUT_DIR, entry), path.join(artifactsDir, entry), { recursive: true });
+    }
+  } else {
+    await fs.rm(path.join(artifactsDir, '.build-manifest.json'), { force: true });
+  }
+
+  // Results from a failed run are on disk in pipeline-results.json
+  if (!job.results) {
+    try {
+      job.results = JSON.parse(await fs.readFile(path.join(artifactsDir, 'pipeline-results.json'), 'utf-8'));
+    } catch {
+      // The run failed before writing results
+    }
+  }
+
+  await fs.writeFile(path.join(runDir, 'run.json'), JSON.stringify(job, null, 2));
+}
+
+/**
+ * Remove the oldest runs beyond MAX_RUNS
+ */
+async function pruneRuns() {
+  const ids = (await readRunIds()).sort().reverse();
+
+  for (const id of ids.slice(MAX_RUNS)) {
+    await fs.rm(path.join(RUNS_DIR, id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read run.json for every archived run
+ */
+async function readFinishedRuns() {
+  const runs = [];
+
+  for (const id of await readRunIds()) {
+    try {
+      runs.push(JSON.parse(await fs.readFile(path.join(RUNS_DIR, id, 'run.json'), 'utf-8')));
+    } catch {
+      // Still being archived
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Helper: IDs of the run directories on disk
+ */
+async function readRunIds() {
+  try {
+    return (await fs.readdir(RUNS_DIR)).filter(id => RUN_ID_PATTERN.test(id));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Helper: List files under a directory, recursively, with paths relative to it
+ */
+async function listFiles(dir, base = dir, files = []) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      await listFiles(fullPath, base, files);
+    } else {
+      const stats = await fs.stat(fullPath);
+      files.push({ path: path.relative(base, fullPath).split(path.sep).join('/'), size: stats.size });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Helper: Directory holding a run's generated files
+ */
+function getArtifactsDir(id) {
+  return path.join(RUNS_DIR, id, 'artifacts');
+}
+
+/**
+ * Helper: Number of jobs ahead of this one, counting the one running (0 when it starts right away)
+ */
+function getQueuePosition(id) {
+  return [...jobs.keys()].indexOf(id);
+}
+
+/**
+ * Helper: Sortable run ID, e.g. 20261018T175144Z-3fa9c2
+ */
+function createRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
@@ -2,30 +2,94 @@
  * Main Token Pipeline Script
  *
  * Orchestrates the complete token pipeline workflow:
- * 1. Extract tokens from Figma (mock or real API)
- * 2. Normalize token structure
- * 3. Write to intermediate JSON
- * 4. Run Style Dictionary build
- * 5. Generate documentation
- * 6. Log summary with statistics
+ * 1. Extract tokens from Figma (mock or real API) and normalize them
+ * 2. Validate normalized tokens and audit color contrast
+ * 3. Diff against the previous snapshot, bump the version and write to intermediate JSON
+ * 4. Load the Style Dictionary configuration and find the platforms to rebuild
+ * 5. Run the Style Dictionary build (outputs include the documentation)
+ * 6. Generate statistics
+ * 7. Verify the outputs and log a summary
  */
 
 import { extractTokens } from './extract/index.js';
+import { toDtcgTokens, fromDtcgTokens } from './extract/normalize.js';
+import { isDtcgTokens } from './extract/dtcg.js';
+import { getThemes } from './transform/themes.js';
+import { countTokens } from './utils/token-tree.js';
+import { validateTokens, formatIssue, TokenValidationError } from './validate/validate-tokens.js';
+import { auditContrast } from './validate/contrast.js';
+import { diffTokens, formatChangelogEntry, recommendVersionBump, bumpVersion, isSemver } from './diff/diff-tokens.js';
+import {
+  hashTokens,
+  hashBuildCode,
+  hashPlatform,
+  getPlatformOutputs,
+  isPlatformUpToDate,
+  loadBuildManifest,
+  saveBuildManifest
+} from './cache/build-cache.js';
 import StyleDictionary from 'style-dictionary';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs/promises';
 import path from 'path';
 
+// Version given to the first token snapshot
+const INITIAL_VERSION = '1.0.0';
+
+// Default output directory; output/pipeline-results.json is watched by the demo server
+const OUTPUT_DIR = 'output';
+
+// Pipeline steps in run order (keys match `results.steps`)
+const STEPS = [
+  { step: 'extract', label: 'Extract tokens' },
+  { step: 'validate', label: 'Validate tokens' },
+  { step: 'write', label: 'Write snapshot' },
+  { step: 'config', label: 'Load configuration' },
+  { step: 'build', label: 'Build platforms' },
+  { step: 'statistics', label: 'Generate statistics' },
+  { step: 'verify', label: 'Verify outputs' }
+];
+
 /**
  * Main pipeline execution
  * @param {Object} options - Pipeline options
- * @param {string} options.method - 'mock' or 'figma' extraction method
- * @param {string} options.fileKey - Figma file key (if using real API)
+ * @param {string} options.method - 'mock', 'figma', 'dtcg', 'tokens-studio' or 'payload' extraction method
+ * @param {string|Array} options.fileKey - Figma file key, or keys from lowest to highest precedence (if using real API)
+ * @param {string} options.teamId - Figma team ID, to build the team library's published styles (if using real API)
+ * @param {Array} options.styleKeys - Published Figma style keys to build (if using real API)
+ * @param {string} options.onConflict - 'warn' (default) or 'error' when two Figma files define the same token
+ * @param {string} options.figmaCache - 'record' Figma API responses to disk, or 'replay' them offline (if using real API)
+ * @param {string} options.filePath - DTCG file or Tokens Studio export (if using the 'dtcg' or 'tokens-studio' method)
+ * @param {Object} options.tokens - Token JSON to build (if using the 'payload' method)
+ * @param {string} options.outputDir - Directory for all generated files (default: output)
+ * @param {string} options.tokenFormat - Format of the intermediate token file: 'legacy' (value/type) or 'dtcg'
+ * @param {boolean} options.force - Rebuild every platform, ignoring the build cache
+ * @param {boolean} options.skipExtract - Reuse <outputDir>/extracted-tokens.json instead of extracting again
+ * @param {Function} options.onProgress - Receives progress events: step-start, step-succeed, step-fail,
+ *   pipeline-complete and pipeline-fail (see emitProgress)
  * @returns {Promise<Object>} - Pipeline results
  */
 export async function runPipeline(options = {}) {
-  const { method = 'mock', fileKey } = options;
+  const {
+    method = 'mock',
+    fileKey,
+    teamId,
+    styleKeys,
+    figmaCache,
+    onConflict,
+    filePath,
+    tokens: payload,
+    outputDir = OUTPUT_DIR,
+    tokenFormat = 'legacy',
+    force = false,
+    skipExtract = false,
+    onProgress
+  } = options;
+
+  // Intermediate token snapshot (Style Dictionary source) and run results
+  const tokensPath = path.join(process.cwd(), outputDir, 'extracted-tokens.json');
+  const resultsPath = path.join(process.cwd(), outputDir, 'pipeline-results.json');
 
   console.log(chalk.bold.blue('\n🚀 Design Token Pipeline'));
   console.log(chalk.gray('═'.repeat(60)));
@@ -40,71 +104,217 @@ export async function runPipeline(options = {}) {
   };
 
   let spinner = ora();
+  let currentStep = null;
+  let stepStartTime = null;
+
+  // Spinner output plus a progress event for each step boundary
+  const startStep = (step, message) => {
+    currentStep = step;
+    stepStartTime = Date.now();
+    spinner.start(chalk.blue(`Step ${stepNumber(step)}: ${message}`));
+    emitProgress(onProgress, 'step-start', { step });
+  };
+  const succeedStep = (message) => {
+    spinner.succeed(chalk.green(`Step ${stepNumber(currentStep)}: ${message}`));
+    emitProgress(onProgress, 'step-succeed', { step: currentStep, message, ...results.steps[currentStep] });
+  };
 
   try {
-    // Step 1: Extract tokens from Figma
-    spinner.start(chalk.blue('Step 1/6: Extracting tokens from Figma'));
+    // Step 1: Extract tokens from Figma (or a DTCG file, Tokens Studio export or payload)
+    const extractSource = { dtcg: 'DTCG file', 'tokens-studio': 'Tokens Studio', payload: 'payload' }[method] || 'Figma';
+    startStep('extract', `Extracting tokens from ${extractSource}`);
     const extractStart = Date.now();
 
-    const tokens = await extractTokens({ method, fileKey });
+    // Build-only reruns (e.g. a config change in watch mode) reuse the last extraction
+    const reusedTokens = skipExtract ? await readPreviousTokens(tokensPath) : null;
+    let tokens = reusedTokens || await extractTokens({ method, fileKey, teamId, styleKeys, figmaCache, onConflict, filePath, tokens: payload });
+
+    // Build exactly what the DTCG snapshot holds (e.g. CSS shadows parsed into shadow objects)
+    if (tokenFormat === 'dtcg') {
+      tokens = fromDtcgTokens(toDtcgTokens(tokens));
+    }
 
     const extractTime = Date.now() - extractStart;
     results.steps.extract = {
       success: true,
       duration: extractTime,
-      tokenCount: countTokens(tokens)
+      tokenCount: countTokens(tokens),
+      reused: Boolean(reusedTokens)
+    };
+
+    const extractVerb = reusedTokens ? 'Reused' : 'Extracted';
+    succeedStep(`${extractVerb} ${results.steps.extract.tokenCount} tokens (${extractTime}ms)`);
+
+    // Step 2: Validate tokens before anything is written or built
+    startStep('validate', 'Validating tokens');
+    const validateStart = Date.now();
+
+    const report = validateTokens(tokens);
+    results.validation = report;
+
+    // WCAG contrast audit for the pairs declared in the Style Dictionary config
+    const { contrastAudit } = await import('../style-dictionary.config.js');
+    const contrast = auditContrast(tokens, contrastAudit);
+    results.contrast = contrast;
+
+    const contrastIssues = contrastAudit.onViolation === 'error' ? report.errors : report.warnings;
+    contrast.violations.forEach(violation => {
+      const theme = violation.theme ? ` in ${violation.theme} theme` : '';
+      contrastIssues.push({
+        code: 'insufficient-contrast',
+        path: violation.foreground,
+        message: `Contrast ${violation.ratio}:1 on ${violation.background}${theme} is below ${contrast.level} (${violation.required}:1)`,
+        value: violation.foregroundValue,
+        source: {
+          figmaKey: violation.source?.figmaKey,
+          figmaName: violation.source?.figmaName
+        }
+      });
+    });
+    report.valid = report.errors.length === 0;
+
+    const reportPath = path.join(process.cwd(), outputDir, 'validation-report.json');
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+    const validateTime = Date.now() - validateStart;
+    results.steps.validate = {
+      success: report.valid,
+      duration: validateTime,
+      errorCount: report.errors.length,
+      warningCount: report.warnings.length,
+      path: reportPath
     };
 
-    spinner.succeed(chalk.green(`Step 1/6: Extracted ${results.steps.extract.tokenCount} tokens (${extractTime}ms)`));
+    if (!report.valid) {
+      spinner.fail(chalk.red(`Step ${stepNumber('validate')}: Found ${report.errors.length} invalid token(s)`));
+      report.errors.forEach(issue => console.log(chalk.red(`  ✗ ${formatIssue(issue)}`)));
+      throw new TokenValidationError(report);
+    }
+
+    succeedStep(`Validated ${report.tokenCount} tokens, ${report.warnings.length} warning(s) (${validateTime}ms)`);
+    report.warnings.forEach(issue => console.log(chalk.yellow(`  ⚠ ${formatIssue(issue)}`)));
 
-    // Step 2: Write normalized tokens to intermediate JSON
-    spinner.start(chalk.blue('Step 2/6: Writing intermediate token file'));
+    // Step 3: Write normalized tokens to intermediate JSON
+    startStep('write', 'Writing intermediate token file');
     const writeStart = Date.now();
 
-    const outputPath = path.join(process.cwd(), 'output', 'extracted-tokens.json');
+    const outputPath = tokensPath;
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
-    await fs.writeFile(outputPath, JSON.stringify(tokens, null, 2));
+
+    // Compare against the previous snapshot before overwriting it
+    const previousTokens = await readPreviousTokens(outputPath);
+    const diff = diffTokens(previousTokens, tokens);
+
+    // Recommend the next package version from the kind of changes
+    const previousVersion = isSemver(previousTokens?.metadata?.version) ? previousTokens.metadata.version : null;
+    const bump = previousVersion ? recommendVersionBump(diff) : null;
+    const version = previousVersion ? bumpVersion(previousVersion, bump) : INITIAL_VERSION;
+    tokens.metadata.version = version;
+
+    await writeChangelog(diff, { initial: !previousTokens, version, previousVersion, bump, outputDir });
+    results.diff = diff.summary;
+    results.version = { version, previousVersion, bump };
+
+    // Skip rewriting the snapshot when the token content is unchanged
+    const manifest = force ? { platforms: {} } : await loadBuildManifest(outputDir);
+    const tokensHash = hashTokens(tokens);
+    const tokensUnchanged = manifest.tokensHash === tokensHash && previousTokens !== null;
+
+    if (!tokensUnchanged) {
+      const snapshot = tokenFormat === 'dtcg' ? toDtcgTokens(tokens) : tokens;
+      await fs.writeFile(outputPath, JSON.stringify(snapshot, null, 2));
+    }
 
     const writeTime = Date.now() - writeStart;
     results.steps.write = {
       success: true,
       duration: writeTime,
-      path: outputPath
+      path: outputPath,
+      changes: diff.summary.total,
+      skipped: tokensUnchanged
     };
 
-    spinner.succeed(chalk.green(`Step 2/6: Wrote tokens to intermediate file (${writeTime}ms)`));
+    const changeSummary = previousTokens ? `${diff.summary.total} change(s)` : 'first snapshot';
+    const versionSummary = bump ? `${previousVersion} → ${version} (${bump})` : version;
+    const writeSummary = tokensUnchanged ? 'Tokens unchanged, kept intermediate file' : 'Wrote tokens to intermediate file';
+    succeedStep(`${writeSummary}, ${changeSummary}, version ${versionSummary} (${writeTime}ms)`);
 
-    // Step 3: Load Style Dictionary configuration
-    spinner.start(chalk.blue('Step 3/6: Loading Style Dictionary configuration'));
+    // Step 4: Load Style Dictionary configuration
+    startStep('config', 'Loading Style Dictionary configuration');
     const configStart = Date.now();
 
     const config = await import('../style-dictionary.config.js');
-    const sd = new StyleDictionary(config.default);
+    const codeHash = await hashBuildCode();
+
+    // One base build plus one additional build per theme (mode) found in the tokens
+    const themes = getThemes(tokens);
+    const baseConfig = config.createConfig({ version: tokens.metadata.version, outputDir });
+
+    // A DTCG snapshot isn't in the shape the custom transforms read, so build from the tokens directly
+    if (tokenFormat === 'dtcg') {
+      delete baseConfig.source;
+      baseConfig.tokens = tokens;
+    }
+
+    const builds = [
+      { key: 'base', config: baseConfig, tokens },
+      ...themes.map(theme => {
+        const themeConfig = config.createThemeConfig(tokens, theme, { outputDir });
+        return { key: `theme:${theme.name}`, config: themeConfig, tokens: themeConfig.tokens };
+      })
+    ];
+
+    // Hash each platform's inputs to find the ones that need rebuilding
+    const platforms = [];
+    for (const build of builds) {
+      for (const [name, platform] of Object.entries(build.config.platforms)) {
+        const key = `${build.key}:${name}`;
+        const hash = hashPlatform(platform, build.tokens, codeHash);
+        const upToDate = await isPlatformUpToDate(manifest, key, hash);
+        platforms.push({ key, name, build, hash, outputs: getPlatformOutputs(platform), upToDate });
+      }
+    }
 
     const configTime = Date.now() - configStart;
     results.steps.config = {
       success: true,
-      duration: configTime
+      duration: configTime,
+      themes: themes.map(theme => theme.name)
     };
 
-    spinner.succeed(chalk.green(`Step 3/6: Loaded configuration (${configTime}ms)`));
+    succeedStep(`Loaded configuration with ${themes.length} theme(s) (${configTime}ms)`);
 
-    // Step 4: Run Style Dictionary build
-    spinner.start(chalk.blue('Step 4/6: Building platform outputs'));
+    // Step 5: Run Style Dictionary build for changed platforms
+    startStep('build', 'Building platform outputs');
     const buildStart = Date.now();
 
-    await sd.buildAllPlatforms();
+    const stale = platforms.filter(platform => !platform.upToDate);
+    for (const platform of stale) {
+      // Style Dictionary instances are only created for builds with work to do
+      platform.build.sd ??= new StyleDictionary(platform.build.config);
+      await platform.build.sd.buildPlatform(platform.name);
+    }
+
+    await saveBuildManifest({
+      tokensHash,
+      codeHash,
+      platforms: Object.fromEntries(platforms.map(({ key, hash, outputs }) => [key, { hash, outputs }]))
+    }, outputDir);
 
     const buildTime = Date.now() - buildStart;
     results.steps.build = {
       success: true,
-      duration: buildTime
+      duration: buildTime,
+      built: stale.map(platform => platform.key),
+      skipped: platforms.filter(platform => platform.upToDate).map(platform => platform.key)
     };
 
-    spinner.succeed(chalk.green(`Step 4/6: Built platform outputs (${buildTime}ms)`));
+    const skippedCount = platforms.length - stale.length;
+    succeedStep(`Built ${stale.length} platform(s), skipped ${skippedCount} unchanged (${buildTime}ms)`);
 
-    // Step 5: Generate statistics
-    spinner.start(chalk.blue('Step 5/6: Generating statistics'));
+    // Step 6: Generate statistics
+    startStep('statistics', 'Generating statistics');
     const statsStart = Date.now();
 
     const statistics = await generateStatistics(tokens);
@@ -116,13 +326,13 @@ export async function runPipeline(options = {}) {
       duration: statsTime
     };
 
-    spinner.succeed(chalk.green(`Step 5/6: Generated statistics (${statsTime}ms)`));
+    succeedStep(`Generated statistics (${statsTime}ms)`);
 
-    // Step 6: Verify outputs
-    spinner.start(chalk.blue('Step 6/6: Verifying generated files'));
+    // Step 7: Verify outputs
+    startStep('verify', 'Verifying generated files');
     const verifyStart = Date.now();
 
-    const generatedFiles = await verifyOutputs();
+    const generatedFiles = await verifyOutputs(themes, outputDir);
 
     const verifyTime = Date.now() - verifyStart;
     results.steps.verify = {
@@ -131,7 +341,7 @@ export async function runPipeline(options = {}) {
       fileCount: generatedFiles.length
     };
 
-    spinner.succeed(chalk.green(`Step 6/6: Verified ${generatedFiles.length} output files (${verifyTime}ms)`));
+    succeedStep(`Verified ${generatedFiles.length} output files (${verifyTime}ms)`);
 
     // Success!
     results.success = true;
@@ -143,9 +353,32 @@ export async function runPipeline(options = {}) {
 
     printSummary(results, totalTime, generatedFiles);
 
+    results.duration = totalTime;
+    await writeResults(results, resultsPath);
+
+    emitProgress(onProgress, 'pipeline-complete', {
+      duration: totalTime,
+      tokenCount: statistics.total,
+      fileCount: generatedFiles.length,
+      version: results.version,
+      finishedAt: results.finishedAt
+    });
+
   } catch (error) {
     spinner.fail(chalk.red('Pipeline failed'));
     results.errors.push(error.message);
+    results.duration = Date.now() - startTime;
+    await writeResults(results, resultsPath);
+
+    if (currentStep) {
+      emitProgress(onProgress, 'step-fail', {
+        step: currentStep,
+        duration: Date.now() - stepStartTime,
+        ...results.steps[currentStep],
+        error: error.message
+      });
+    }
+    emitProgress(onProgress, 'pipeline-fail', { duration: results.duration, error: error.message });
 
     console.log(chalk.gray('\n' + '═'.repeat(60)));
     console.log(chalk.bold.red('✗ Pipeline failed\n'));
@@ -163,24 +396,86 @@ export async function runPipeline(options = {}) {
 }
 
 /**
- * Count total tokens in nested structure
+ * Helper: Step position as "n/total"
+ */
+function stepNumber(step) {
+  return `${STEPS.findIndex(entry => entry.step === step) + 1}/${STEPS.length}`;
+}
+
+/**
+ * Send a progress event to the listener, if any
+ * Step events carry { step, index, total, label } plus the step's results
+ * (duration, tokenCount, ...); every event has a type and a timestamp.
+ * A failing listener never fails the pipeline.
  */
-function countTokens(obj, count = 0) {
-  if (!obj || typeof obj !== 'object') return count;
+function emitProgress(listener, type, data) {
+  if (!listener) return;
 
-  for (const key in obj) {
-    if (key === '$metadata') continue;
+  const index = STEPS.findIndex(entry => entry.step === data.step);
+  const step = index === -1 ? {} : { index: index + 1, total: STEPS.length, label: STEPS[index].label };
 
-    if (obj[key] && typeof obj[key] === 'object') {
-      if (obj[key].value !== undefined) {
-        count++;
-      } else {
-        count = countTokens(obj[key], count);
-      }
-    }
+  try {
+    listener({ type, timestamp: new Date().toISOString(), ...step, ...data });
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠ Progress listener failed: ${error.message}`));
   }
+}
 
-  return count;
+/**
+ * Write the results of a run so other processes (the demo server) can pick them up
+ */
+async function writeResults(results, resultsPath) {
+  try {
+    await fs.mkdir(path.dirname(resultsPath), { recursive: true });
+    results.finishedAt = new Date().toISOString();
+    await fs.writeFile(resultsPath, JSON.stringify(results, null, 2));
+  } catch (error) {
+    console.warn(chalk.yellow(`⚠ Could not write pipeline results: ${error.message}`));
+  }
+}
+
+/**
+ * Read the previous token snapshot, if there is one (DTCG snapshots are converted back)
+ */
+async function readPreviousTokens(outputPath) {
+  try {
+    const snapshot = JSON.parse(await fs.readFile(outputPath, 'utf-8'));
+    return isDtcgTokens(snapshot) ? fromDtcgTokens(snapshot) : snapshot;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the machine-readable diff and prepend an entry to the changelog
+ */
+async function writeChangelog(diff, { initial, version, previousVersion, bump, outputDir }) {
+  const docsDir = path.join(process.cwd(), outputDir, 'docs');
+  const changelogPath = path.join(docsDir, 'CHANGELOG.md');
+  await fs.mkdir(docsDir, { recursive: true });
+
+  await fs.writeFile(path.join(docsDir, 'token-diff.json'), JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    initial,
+    version,
+    previousVersion,
+    bump,
+    ...diff
+  }, null, 2));
+
+  // Runs without changes don't add an entry
+  if (!initial && diff.summary.total === 0) return;
+
+  const heading = '# Token Changelog\n\n';
+  let existing = '';
+  try {
+    existing = (await fs.readFile(changelogPath, 'utf-8')).replace(heading, '');
+  } catch {
+    // No changelog yet
+  }
+
+  const title = `${version} (${new Date().toISOString()})`;
+  await fs.writeFile(changelogPath, heading + formatChangelogEntry(diff, { title, initial }) + existing);
 }
 
 /**
@@ -195,7 +490,7 @@ async function generateStatistics(tokens) {
 
   function traverse(obj, category = '') {
     for (const key in obj) {
-      if (key === '$metadata') continue;
+      if (key === 'metadata' || key === '$metadata') continue;
 
       const value = obj[key];
 
@@ -226,22 +521,47 @@ async function generateStatistics(tokens) {
 /**
  * Verify output files were generated
  */
-async function verifyOutputs() {
+async function verifyOutputs(themes = [], outputDir = OUTPUT_DIR) {
   const expectedFiles = [
-    'output/css/variables.css',
-    'output/css/tokens.css',
-    'output/js/tokens.js',
-    'output/js/tokens.module.js',
-    'output/scss/_variables.scss',
-    'output/json/tokens.json',
-    'output/json/tokens-flat.json',
-    'output/docs/tokens-documentation.json',
-    'output/docs/tokens-documentation.md',
-    'output/docs/tokens-documentation.html',
-    'output/android/colors.xml',
-    'output/android/dimens.xml',
-    'output/ios/StyleDictionaryColor.swift'
-  ];
+    'css/variables.css',
+    'css/tokens.css',
+    'css/typography.css',
+    'js/tokens.js',
+    'js/tokens.d.ts',
+    'js/tokens.module.js',
+    'scss/_variables.scss',
+    'scss/_typography.scss',
+    'json/tokens.json',
+    'json/tokens-flat.json',
+    'json/tokens.dtcg.json',
+    'docs/tokens-documentation.json',
+    'docs/tokens-documentation.md',
+    'docs/tokens-documentation.html',
+    'docs/CHANGELOG.md',
+    'docs/token-diff.json',
+    'package/package.json',
+    'package/README.md',
+    'package/index.js',
+    'package/index.cjs',
+    'package/index.d.ts',
+    'package/variables.css',
+    'package/_variables.scss',
+    'package/typography.css',
+    'package/_typography.scss',
+    'package/tokens.json',
+    'accessibility/contrast-report.json',
+    'accessibility/contrast-report.md',
+    'android/colors.xml',
+    'android/dimens.xml',
+    'android/effects.xml',
+    'ios/StyleDictionaryColor.swift',
+    'ios/StyleDictionaryShadow.swift',
+    ...themes.flatMap(({ name }) => [
+      `css/themes/${name}.css`,
+      `scss/themes/_${name}.scss`,
+      `js/themes/${name}.js`
+    ])
+  ].map(file => path.join(outputDir, file));
 
   const generatedFiles = [];
 
@@ -332,11 +652,28 @@ function printSummary(results, totalTime, generatedFiles) {
 async function main() {
   try {
     const args = process.argv.slice(2);
+    const dtcgPath = args.find(arg => arg.startsWith('--dtcg='))?.split('=')[1];
+    const tokensStudioPath = args.find(arg => arg.startsWith('--tokens-studio='))?.split('=')[1];
     const options = {
-      method: args.includes('--figma') ? 'figma' : 'mock',
-      fileKey: args.find(arg => arg.startsWith('--file='))?.split('=')[1]
+      method: args.includes('--figma') ? 'figma' : dtcgPath ? 'dtcg' : tokensStudioPath ? 'tokens-studio' : 'mock',
+      fileKey: args.find(arg => arg.startsWith('--file='))?.split('=')[1]?.split(','),
+      teamId: args.find(arg => arg.startsWith('--team='))?.split('=')[1],
+      styleKeys: args.find(arg => arg.startsWith('--style-keys='))?.split('=')[1]?.split(','),
+      figmaCache: args.includes('--record') ? 'record' : args.includes('--replay') ? 'replay' : null,
+      onConflict: args.find(arg => arg.startsWith('--on-conflict='))?.split('=')[1],
+      filePath: dtcgPath || tokensStudioPath,
+      tokenFormat: args.includes('--dtcg-output') ? 'dtcg' : 'legacy',
+      force: args.includes('--force'),
+      skipExtract: args.includes('--skip-extract')
     };
 
+    if (args.includes('--watch')) {
+      // Watch mode keeps running; each rebuild happens in a fresh child process
+      const { watchPipeline } = await import('./watch.js');
+      await watchPipeline(args.filter(arg => arg !== '--watch'));
+      return;
+    }
+
     await runPipeline(options);
     process.exit(0);
   } catch (error) {
@@ -6,6 +6,10 @@
  */
 
 import StyleDictionary from 'style-dictionary';
+import { fileHeader, formattedVariables } from 'style-dictionary/utils';
+import { auditContrast, parseColor } from '../validate/contrast.js';
+import { toDtcgToken } from '../extract/normalize.js';
+import { shadowToCss } from './shadows.js';
 
 /**
  * Register all custom formats with Style Dictionary
@@ -23,7 +27,7 @@ export function registerCustomFormats() {
           generatedAt: new Date().toISOString(),
           generatedBy: 'Style Dictionary',
           tokenCount: dictionary.allTokens.length,
-          version: '1.0.0',
+          version: options?.version || '1.0.0',
           description: 'Design token documentation with full metadata'
         },
         tokens: {}
@@ -73,34 +77,7 @@ export function registerCustomFormats() {
       let output = `# ${title}\n\n`;
       output += `Generated on ${new Date().toISOString()}\n\n`;
       output += `Total tokens: ${dictionary.allTokens.length}\n\n`;
-
-      // Group by category
-      const categories = {};
-      dictionary.allTokens.forEach(token => {
-        const category = token.path[0] || 'other';
-        if (!categories[category]) {
-          categories[category] = [];
-        }
-        categories[category].push(token);
-      });
-
-      // Generate markdown for each category
-      Object.entries(categories).forEach(([category, tokens]) => {
-        output += `## ${capitalize(category)}\n\n`;
-        output += `| Name | Value | Type | Description |\n`;
-        output += `|------|-------|------|-------------|\n`;
-
-        tokens.forEach(token => {
-          const name = token.name;
-          const value = formatValue(token.value, token.type);
-          const type = token.type || 'unknown';
-          const description = token.description || token.comment || '-';
-
-          output += `| \`${name}\` | ${value} | ${type} | ${description} |\n`;
-        });
-
-        output += '\n';
-      });
+      output += generateMarkdownTables(dictionary, '##');
 
       return output;
     }
@@ -172,6 +149,12 @@ export function registerCustomFormats() {
       border-radius: 4px;
       border: 1px solid #ddd;
     }
+    .shadow-preview {
+      width: 40px;
+      height: 40px;
+      border-radius: 4px;
+      background: white;
+    }
     .size-preview {
       height: 8px;
       background: #0066cc;
@@ -221,7 +204,7 @@ export function registerCustomFormats() {
           const preview = generatePreview(token);
           html += `      <div class="token">
         <div class="token-name">${token.name}</div>
-        <div class="token-value">${escapeHtml(token.value)}</div>
+        <div class="token-value">${escapeHtml(token.type === 'shadow' ? shadowToCss(token.value) : stringifyValue(token.value))}</div>
         <div class="token-preview">${preview}</div>
         <div class="token-type">${token.type || 'unknown'}</div>
 `;
@@ -245,9 +228,391 @@ export function registerCustomFormats() {
     }
   });
 
+  // Custom format: CSS Theme
+  // Creates the CSS blocks for one theme: a [data-theme] selector (plus :root
+  // for the default theme) and a prefers-color-scheme media query for light/dark
+  StyleDictionary.registerFormat({
+    name: 'css/theme',
+    format: async function({ dictionary, options, file }) {
+      const theme = options?.theme;
+      const header = await fileHeader({ file });
+
+      // Only themed tokens are written, but they may alias any token: variables.css
+      // defines every token on :root, so resolve references against the full tree
+      const fullDictionary = { ...dictionary, tokens: dictionary.unfilteredTokens ?? dictionary.tokens };
+
+      const variables = (indentation) => formattedVariables({
+        format: 'css',
+        dictionary: fullDictionary,
+        outputReferences: options?.outputReferences,
+        formatting: { indentation },
+        usesDtcg: options?.usesDtcg
+      });
+
+      const selectors = options?.isDefault
+        ? [':root', `[data-theme="${theme}"]`]
+        : [`[data-theme="${theme}"]`];
+
+      let output = header;
+      output += `${selectors.join(',\n')} {\n${variables('  ')}\n}\n`;
+
+      if (!options?.isDefault && ['light', 'dark'].includes(theme)) {
+        output += `\n@media (prefers-color-scheme: ${theme}) {\n`;
+        output += `  :root:not([data-theme]) {\n${variables('    ')}\n  }\n`;
+        output += `}\n`;
+      }
+
+      return output;
+    }
+  });
+
+  // Custom format: SCSS Theme Map
+  // Like scss/map-flat, but comma-separated values (font stacks, layered
+  // shadows) are wrapped in parentheses so each stays a single map value
+  StyleDictionary.registerFormat({
+    name: 'scss/theme-map',
+    format: async function({ dictionary, options, file }) {
+      const header = await fileHeader({ file });
+      const entries = dictionary.allTokens.map(token => `  '${token.name}': ${toSassMapValue(token.value)}`);
+
+      return `${header}$${options?.mapName || 'tokens'}: (\n${entries.join(',\n')}\n);\n`;
+    }
+  });
+
+  // Custom format: CSS Typography Classes
+  // Creates one utility class per composite typography token (text style):
+  // the font shorthand variable plus letter-spacing. Needs variables.css
+  StyleDictionary.registerFormat({
+    name: 'css/typography-classes',
+    format: async function({ dictionary, file }) {
+      let output = await fileHeader({ file });
+
+      getTextStyles(dictionary).forEach(({ token, className, properties }) => {
+        output += `.${className} {\n`;
+        output += `  font: var(--${token.name});\n`;
+        if (properties.letterSpacing) {
+          const { reference, value } = properties.letterSpacing;
+          output += `  letter-spacing: ${reference ? `var(--${reference})` : value};\n`;
+        }
+        output += '}\n\n';
+      });
+
+      return output;
+    }
+  });
+
+  // Custom format: SCSS Typography Mixins
+  // Creates one mixin per composite typography token (text style) that sets
+  // each font property from the _variables.scss variables
+  StyleDictionary.registerFormat({
+    name: 'scss/typography-mixins',
+    format: async function({ dictionary, file }) {
+      let output = await fileHeader({ file, commentStyle: 'short' });
+      output += `@use 'variables' as *;\n\n`;
+
+      getTextStyles(dictionary).forEach(({ token, className, properties }) => {
+        if (token.description || token.comment) {
+          output += `// ${token.description || token.comment}\n`;
+        }
+        output += `@mixin ${className} {\n`;
+        Object.entries(properties).forEach(([property, { reference, value }]) => {
+          output += `  ${toKebabName([property])}: ${reference ? `$${reference}` : value};\n`;
+        });
+        output += '}\n\n';
+      });
+
+      return output;
+    }
+  });
+
+  // Custom format: iOS Shadows (Swift)
+  // One array of CALayer shadow layers per shadow token. A CALayer draws one
+  // shadow, so multi-layer shadows need one CALayer per entry. CSS blur is
+  // about twice shadowRadius; spread and inset shadows have no CALayer equivalent
+  StyleDictionary.registerFormat({
+    name: 'ios-swift/shadows.swift',
+    format: async function({ dictionary, file, options }) {
+      const className = options?.className || 'StyleDictionaryShadow';
+      const layerName = `${className}Layer`;
+      let output = await fileHeader({ file, commentStyle: 'short' });
+
+      output += 'import UIKit\n\n';
+      output += `public struct ${layerName} {\n`;
+      output += '    public let color: UIColor\n';
+      output += '    public let opacity: Float\n';
+      output += '    public let offset: CGSize\n';
+      output += '    public let radius: CGFloat\n\n';
+      output += '    public func apply(to layer: CALayer) {\n';
+      output += '        layer.shadowColor = color.cgColor\n';
+      output += '        layer.shadowOpacity = opacity\n';
+      output += '        layer.shadowOffset = offset\n';
+      output += '        layer.shadowRadius = radius\n';
+      output += '    }\n';
+      output += '}\n\n';
+      output += `public enum ${className} {\n`;
+
+      dictionary.allTokens
+        .filter(token => token.type === 'shadow' && typeof token.value === 'object')
+        .forEach(token => {
+          const layers = (Array.isArray(token.value) ? token.value : [token.value]).filter(layer => !layer.inset);
+          if (token.comment || token.description) {
+            output += `    /// ${token.comment || token.description}\n`;
+          }
+          output += `    public static let ${token.name}: [${layerName}] = [\n`;
+          output += layers.map(layer => `        ${toSwiftShadowLayer(layer, layerName)}`).join(',\n');
+          output += layers.length > 0 ? '\n    ]\n' : '    ]\n';
+        });
+
+      output += '}\n';
+      return output;
+    }
+  });
+
+  // Custom format: Accessibility Contrast Report
+  // Creates a WCAG contrast report for the declared color pairs;
+  // JSON by default, Markdown when the destination ends in .md
+  StyleDictionary.registerFormat({
+    name: 'accessibility/contrast-report',
+    format: function({ dictionary, options, file }) {
+      const audit = auditContrast(dictionary.tokens, options);
+
+      if (!file.destination.endsWith('.md')) {
+        return JSON.stringify({
+          $metadata: {
+            generatedAt: new Date().toISOString(),
+            level: audit.level,
+            pairCount: audit.results.length,
+            violationCount: audit.violations.length
+          },
+          results: audit.results
+        }, null, 2);
+      }
+
+      const title = options?.title || 'Color Contrast Report';
+      let output = `# ${title}\n\n`;
+      output += `Generated on ${new Date().toISOString()}\n\n`;
+      output += `Required level: WCAG 2.x ${audit.level} · `;
+      output += `${audit.results.length} pair(s) checked · ${audit.violations.length} violation(s)\n\n`;
+      output += `| Foreground | Background | Theme | Ratio | AA | AAA | Result |\n`;
+      output += `|------------|------------|-------|-------|----|-----|--------|\n`;
+
+      audit.results.forEach(result => {
+        const theme = result.theme || '-';
+        const size = result.largeText ? ' (large text)' : '';
+        const status = result.passes ? '✅ Pass' : `❌ Below ${result.required}:1${size}`;
+
+        output += `| \`${result.foreground}\` ${result.foregroundValue} | \`${result.background}\` ${result.backgroundValue} | ${theme} | ${result.ratio}:1 | ${result.AA ? '✓' : '✗'} | ${result.AAA ? '✓' : '✗'} | ${status} |\n`;
+      });
+
+      return output;
+    }
+  });
+
+  // Custom format: npm package.json
+  // Creates the manifest for the publishable token package, with
+  // `exports` for the CSS, SCSS, ESM, CJS and JSON builds
+  StyleDictionary.registerFormat({
+    name: 'npm/package-json',
+    format: function({ options }) {
+      const manifest = {
+        name: options?.name || 'design-tokens',
+        version: options?.version || '1.0.0',
+        description: options?.description || 'Design tokens generated from Figma',
+        type: 'module',
+        main: './index.cjs',
+        module: './index.js',
+        types: './index.d.ts',
+        style: './variables.css',
+        sass: './_variables.scss',
+        exports: {
+          '.': {
+            types: './index.d.ts',
+            import: './index.js',
+            require: './index.cjs'
+          },
+          './css': './variables.css',
+          './css/typography': './typography.css',
+          './scss': './_variables.scss',
+          './scss/typography': './_typography.scss',
+          './json': './tokens.json',
+          './package.json': './package.json'
+        },
+        files: [
+          'index.js',
+          'index.cjs',
+          'index.d.ts',
+          'variables.css',
+          'typography.css',
+          '_variables.scss',
+          '_typography.scss',
+          'tokens.json',
+          'README.md'
+        ],
+        sideEffects: ['*.css'],
+        license: options?.license || 'UNLICENSED'
+      };
+
+      return JSON.stringify(manifest, null, 2) + '\n';
+    }
+  });
+
+  // Custom format: npm package README
+  // Creates the package README with usage per entry point,
+  // followed by the same token tables as the markdown documentation
+  StyleDictionary.registerFormat({
+    name: 'npm/readme',
+    format: function({ dictionary, options }) {
+      const name = options?.name || 'design-tokens';
+      let output = `# ${name}\n\n`;
+      output += `${options?.description || 'Design tokens generated from Figma'}.\n\n`;
+      output += `Version ${options?.version || '1.0.0'} · ${dictionary.allTokens.length} tokens\n\n`;
+      output += `## Installation\n\n\`\`\`bash\nnpm install ${name}\n\`\`\`\n\n`;
+      output += `## Usage\n\n`;
+      output += `\`\`\`js\n// ES modules (TypeScript declarations included)\nimport { ColorsPrimary500 } from '${name}';\n\n`;
+      output += `// CommonJS\nconst tokens = require('${name}');\n\`\`\`\n\n`;
+      output += `\`\`\`css\n@import '${name}/css';\n@import '${name}/css/typography'; /* .text-* classes for text styles */\n\`\`\`\n\n`;
+      output += `\`\`\`scss\n@use '${name}/scss' as tokens;\n@use '${name}/scss/typography'; // @include typography.text-* mixins\n\`\`\`\n\n`;
+      output += `Raw values are available as nested JSON from \`${name}/json\`.\n\n`;
+      output += `## Tokens\n\n`;
+      output += generateMarkdownTables(dictionary, '###');
+
+      return output;
+    }
+  });
+
+  // Custom format: TypeScript Token Declarations
+  // Creates declarations for the javascript/es6 output with a literal type per
+  // token value, plus union types of the export names per token type
+  StyleDictionary.registerFormat({
+    name: 'typescript/token-declarations',
+    format: async function({ dictionary, file }) {
+      let output = await fileHeader({ file });
+
+      // One declaration per javascript/es6 export
+      dictionary.allTokens.forEach(token => {
+        if (token.description || token.comment) {
+          output += `/** ${(token.description || token.comment).replace(/\*\//g, '*\\/')} */\n`;
+        }
+        output += `export declare const ${token.name}: ${toLiteralType(token.value)};\n`;
+      });
+
+      // Union of export names per type, e.g. ColorToken = 'ColorsPrimary500' | ...
+      const namesByType = {};
+      dictionary.allTokens.forEach(token => {
+        const typeName = `${capitalize(token.type || 'other')}Token`;
+        if (!namesByType[typeName]) {
+          namesByType[typeName] = [];
+        }
+        namesByType[typeName].push(token.name);
+      });
+
+      output += '\n';
+      Object.entries(namesByType).forEach(([typeName, names]) => {
+        output += `export type ${typeName} =\n${names.map(name => `  | '${name}'`).join('\n')};\n\n`;
+      });
+
+      output += `export type TokenName = ${Object.keys(namesByType).join(' | ') || 'never'};\n\n`;
+
+      // Export name → literal value type, so TokenValues[TokenName] matches the module
+      output += 'export interface TokenValues {\n';
+      dictionary.allTokens.forEach(token => {
+        output += `  ${token.name}: ${toLiteralType(token.value)};\n`;
+      });
+      output += '}\n';
+
+      return output;
+    }
+  });
+
+  // Custom format: DTCG JSON
+  // W3C Design Tokens Community Group file of the tokens as authored:
+  // references stay aliases, Figma provenance and modes go to $extensions
+  StyleDictionary.registerFormat({
+    name: 'json/dtcg',
+    format: function({ dictionary }) {
+      const tokens = {};
+
+      dictionary.allTokens.forEach(token => {
+        let group = tokens;
+        token.path.slice(0, -1).forEach(key => {
+          group[key] ??= {};
+          group = group[key];
+        });
+        group[token.path[token.path.length - 1]] = toDtcgToken(token.original);
+      });
+
+      return JSON.stringify(tokens, null, 2);
+    }
+  });
+
   console.log('✓ Custom formats registered');
 }
 
+/**
+ * Helper: Generate markdown token tables, one per category
+ * @param {Object} dictionary - Style Dictionary dictionary
+ * @param {string} heading - Markdown heading prefix for category titles (e.g. '##')
+ */
+function generateMarkdownTables(dictionary, heading) {
+  let output = '';
+
+  // Group by category
+  const categories = {};
+  dictionary.allTokens.forEach(token => {
+    const category = token.path[0] || 'other';
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+    categories[category].push(token);
+  });
+
+  // Generate markdown for each category
+  Object.entries(categories).forEach(([category, tokens]) => {
+    output += `${heading} ${capitalize(category)}\n\n`;
+    output += `| Name | Value | Type | Description |\n`;
+    output += `|------|-------|------|-------------|\n`;
+
+    tokens.forEach(token => {
+      const name = token.name;
+      const value = formatValue(token.value, token.type);
+      const type = token.type || 'unknown';
+      const description = token.description || token.comment || '-';
+
+      output += `| \`${name}\` | ${value} | ${type} | ${description} |\n`;
+    });
+
+    output += '\n';
+  });
+
+  return output;
+}
+
+/**
+ * Helper: Composite typography tokens with their utility class name and properties
+ * Each property is { reference, value }: the name of the token it references
+ * (for var()/$ output), and its value as authored
+ * @param {Object} dictionary - Style Dictionary dictionary
+ * @returns {Array} - [{ token, className, properties }]
+ */
+function getTextStyles(dictionary) {
+  const tokensByPath = new Map(dictionary.allTokens.map(token => [token.path.join('.'), token]));
+
+  return dictionary.allTokens
+    .filter(token => token.type === 'typography' && typeof token.original?.value === 'object')
+    .map(token => {
+      // typography.styles.heading.h1 -> text-heading-h1
+      const stylePath = token.path[1] === 'styles' ? token.path.slice(2) : token.path;
+      const properties = Object.fromEntries(
+        Object.entries(token.original.value).map(([property, value]) => {
+          const match = typeof value === 'string' && value.match(/^\{([^{}]+)\}$/);
+          return [property, { reference: match ? tokensByPath.get(match[1])?.name : undefined, value }];
+        })
+      );
+
+      return { token, className: `text-${toKebabName(stylePath)}`, properties };
+    });
+}
+
 /**
  * Helper: Get category description
  */
@@ -270,27 +635,126 @@ function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+/**
+ * Helper: Kebab-case token name from its path
+ * e.g. ['typography', 'fontSize', 'base'] -> 'typography-font-size-base'
+ */
+function toKebabName(path) {
+  return path
+    .join('-')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+/**
+ * Helper: Sass map value; values with a top-level comma become a parenthesized list
+ * e.g. "Inter, sans-serif" -> "(Inter, sans-serif)"; "rgba(0, 0, 0, 0.1)" is kept
+ */
+function toSassMapValue(value) {
+  const text = String(value);
+  let depth = 0;
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === ')') {
+      depth += char === '(' ? 1 : -1;
+    } else if (char === ',' && depth === 0) {
+      return `(${text})`;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Helper: TypeScript literal type for a token value
+ */
+function toLiteralType(value) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `readonly [${value.map(toLiteralType).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => `readonly ${JSON.stringify(key)}: ${toLiteralType(item)}`);
+    return `{ ${entries.join('; ')} }`;
+  }
+  return 'undefined';
+}
+
+/**
+ * Helper: Swift initializer for one shadow layer
+ * The color's alpha becomes the layer's shadowOpacity
+ */
+function toSwiftShadowLayer(layer, layerName) {
+  const { r, g, b, a } = parseColor(layer.color);
+  const [x, y, blur] = [layer.offsetX, layer.offsetY, layer.blur].map(length => parseFloat(length) || 0);
+  const channel = value => (value / 255).toFixed(3);
+
+  return `${layerName}(color: UIColor(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}, alpha: 1), ` +
+    `opacity: ${Math.round(a * 1000) / 1000}, offset: CGSize(width: ${x}, height: ${y}), radius: ${blur / 2})`;
+}
+
 /**
  * Helper: Format value for display
  */
 function formatValue(value, type) {
-  if (type === 'color') {
+  if (type === 'shadow') {
+    return `\`${shadowToCss(value)}\``;
+  }
+  if (type === 'color' || type === 'gradient') {
     return `<span style="display:inline-block;width:20px;height:20px;background:${value};border:1px solid #ddd;vertical-align:middle;margin-right:8px;"></span>\`${value}\``;
   }
-  return `\`${value}\``;
+  return `\`${stringifyValue(value)}\``;
+}
+
+/**
+ * Helper: Value as display text; composite values list their properties
+ * e.g. { fontSize: '16px', lineHeight: '1.5' } -> "fontSize: 16px; lineHeight: 1.5"
+ */
+function stringifyValue(value) {
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join('; ');
+  }
+  return String(value);
 }
 
 /**
  * Helper: Generate HTML preview for token
  */
 function generatePreview(token) {
-  if (token.type === 'color') {
+  if (token.type === 'color' || token.type === 'gradient') {
     return `<div class="color-swatch" style="background: ${token.value};"></div>`;
   }
+  if (token.type === 'shadow') {
+    return `<div class="shadow-preview" style="box-shadow: ${escapeHtml(shadowToCss(token.value))};"></div>`;
+  }
+  if (token.type === 'blur') {
+    return `<div class="color-swatch" style="background: #6366F1; filter: blur(${escapeHtml(token.value)});"></div>`;
+  }
   if (token.type === 'dimension' || token.type === 'fontSize') {
     const width = Math.min(parseFloat(token.value) * 2, 100);
     return `<div class="size-preview" style="width: ${width}px;"></div>`;
   }
+  if (token.type === 'typography' && typeof token.value === 'object') {
+    const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = token.value;
+    const style = [
+      fontFamily && `font-family: ${fontFamily}`,
+      fontSize && `font-size: ${fontSize}`,
+      fontWeight && `font-weight: ${fontWeight}`,
+      lineHeight && `line-height: ${lineHeight}`,
+      letterSpacing && `letter-spacing: ${letterSpacing}`
+    ].filter(Boolean).join('; ');
+    return `<span style="${escapeHtml(style)}">Aa</span>`;
+  }
   return '';
 }
 
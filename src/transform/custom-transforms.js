@@ -6,6 +6,7 @@
  */
 
 import StyleDictionary from 'style-dictionary';
+import { shadowToCss } from './shadows.js';
 
 /**
  * Register all custom transforms with Style Dictionary
@@ -88,7 +89,8 @@ export function registerCustomTransforms() {
           ...token.attributes,
           figma: {
             key: token.source.figmaKey,
-            name: token.source.figmaName
+            name: token.source.figmaName,
+            file: token.source.fileKey
           }
         };
       }
@@ -134,6 +136,87 @@ export function registerCustomTransforms() {
     }
   });
 
+  // Custom transform: Pixel to Android units
+  // Pixel dimensions (and a unitless 0) map 1:1 to dp; font sizes become sp so they follow the user's text scale
+  StyleDictionary.registerTransform({
+    name: 'size/px-to-dp',
+    type: 'value',
+    filter: function(token) {
+      return (token.type === 'dimension' || token.type === 'blur') &&
+             typeof token.value === 'string' &&
+             (token.value.endsWith('px') || token.value === '0');
+    },
+    transform: function(token) {
+      const unit = token.path.includes('fontSize') ? 'sp' : 'dp';
+      return `${parseFloat(token.value).toFixed(2)}${unit}`;
+    }
+  });
+
+  // Custom transform: Typography to CSS font shorthand
+  // Composite typography tokens become e.g. "700 36px/1.25 'Inter', sans-serif".
+  // letter-spacing has no place in the shorthand; the typography utility
+  // classes and mixins set it separately
+  StyleDictionary.registerTransform({
+    name: 'typography/css-font',
+    type: 'value',
+    transitive: true,
+    filter: function(token) {
+      return token.type === 'typography';
+    },
+    transform: function(token) {
+      if (typeof token.value !== 'object') return token.value;
+
+      const { fontFamily = 'sans-serif', fontWeight, fontSize = '16px', lineHeight } = token.value;
+      return [fontWeight, lineHeight ? `${fontSize}/${lineHeight}` : fontSize, fontFamily]
+        .filter(part => part !== undefined)
+        .join(' ');
+    }
+  });
+
+  // Custom transform: Shadow objects to CSS box-shadow
+  // Like the built-in shadow/css/shorthand, but writes DTCG `inset: true` as "inset"
+  StyleDictionary.registerTransform({
+    name: 'shadow/css-box-shadow',
+    type: 'value',
+    transitive: true,
+    filter: function(token) {
+      return token.type === 'shadow';
+    },
+    transform: function(token) {
+      return shadowToCss(token.value);
+    }
+  });
+
+  // Custom transform: Blur radius to CSS filter function
+  // "8px" becomes "blur(8px)", ready for filter and backdrop-filter
+  StyleDictionary.registerTransform({
+    name: 'blur/css-filter',
+    type: 'value',
+    filter: function(token) {
+      return token.type === 'blur' && typeof token.value === 'string';
+    },
+    transform: function(token) {
+      return `blur(${token.value})`;
+    }
+  });
+
+  // Custom transform: Shadow to Android elevation
+  // Android draws elevation shadows itself; Material's key shadow blur is
+  // about twice the elevation, so the largest drop shadow's blur / 2 is used
+  StyleDictionary.registerTransform({
+    name: 'shadow/android-elevation',
+    type: 'value',
+    transitive: true,
+    filter: function(token) {
+      return token.type === 'shadow' && typeof token.value === 'object';
+    },
+    transform: function(token) {
+      const layers = (Array.isArray(token.value) ? token.value : [token.value]).filter(layer => !layer.inset);
+      const blur = Math.max(0, ...layers.map(layer => parseFloat(layer.blur) || 0));
+      return `${(blur / 2).toFixed(2)}dp`;
+    }
+  });
+
   // Custom transform: Token reference resolver
   // Resolves references to other tokens (aliasing)
   StyleDictionary.registerTransform({
@@ -243,10 +326,30 @@ export function registerCustomTransformGroups() {
     transforms: [
       'name/css-custom',
       'attribute/category',
-      'attribute/comment'
+      'attribute/comment',
+      'typography/css-font',
+      'shadow/css-box-shadow',
+      'blur/css-filter'
     ]
   });
 
+  // Custom transform groups: the built-in CSS and SCSS groups, with our font
+  // shorthand (which leaves out letterSpacing) and box-shadow (which keeps
+  // inset) in place of the built-in ones, plus blur filters
+  const replacements = {
+    'typography/css/shorthand': 'typography/css-font',
+    'shadow/css/shorthand': 'shadow/css-box-shadow'
+  };
+  for (const group of ['css', 'scss']) {
+    StyleDictionary.registerTransformGroup({
+      name: `custom/${group}-variables`,
+      transforms: [
+        ...StyleDictionary.hooks.transformGroups[group].map(transform => replacements[transform] || transform),
+        'blur/css-filter'
+      ]
+    });
+  }
+
   // Custom transform group: JavaScript with metadata
   StyleDictionary.registerTransformGroup({
     name: 'custom/js',
@@ -257,6 +360,18 @@ export function registerCustomTransformGroups() {
     ]
   });
 
+  // Custom transform group: Android (the built-in group expects rem sizes; ours are px)
+  StyleDictionary.registerTransformGroup({
+    name: 'custom/android',
+    transforms: [
+      'attribute/cti',
+      'name/snake',
+      'color/hex8android',
+      'size/px-to-dp',
+      'shadow/android-elevation'
+    ]
+  });
+
   console.log('✓ Custom transform groups registered');
 }
 
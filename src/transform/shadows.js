@@ -0,0 +1,23 @@
+/**
+ * Shadow Values
+ *
+ * Writes shadow token values (DTCG shadow objects, or arrays of them for
+ * layered shadows) as CSS box-shadow. Shared by the transforms, the
+ * documentation formats and the demo page, so every output shows the same
+ * CSS for a token. Has no dependencies, so the browser can import it too.
+ */
+
+/**
+ * Convert a shadow token value to a CSS box-shadow
+ * Missing lengths are 0 and a missing color is black; strings (e.g. layers
+ * already transformed through a reference) are kept
+ * @param {Object|Array|string} value - Shadow object, array of shadow objects, or CSS
+ * @returns {string} - CSS box-shadow value, layers separated by commas
+ */
+export function shadowToCss(value) {
+  if (Array.isArray(value)) return value.map(shadowToCss).join(', ');
+  if (!value || typeof value !== 'object') return value;
+
+  const { color = '#000000', offsetX = 0, offsetY = 0, blur = 0, spread = 0, inset } = value;
+  return `${inset ? 'inset ' : ''}${offsetX} ${offsetY} ${blur} ${spread} ${color}`;
+}
@@ -0,0 +1,65 @@
+/**
+ * Theme Resolution
+ *
+ * Turns the per-mode values kept on normalized tokens (`token.modes`)
+ * into one token tree per theme, ready for a Style Dictionary build.
+ */
+
+import chalk from 'chalk';
+
+/**
+ * List the themes defined by the token set
+ * Themes are the modes of the first multi-mode variable collection (e.g. light, dark).
+ * Modes of other multi-mode collections (e.g. a density collection) are not combined
+ * with them; their tokens keep their default value in every theme, with a warning
+ * @param {Object} tokens - Normalized tokens
+ * @returns {Array} - Themes as { name, isDefault }
+ */
+export function getThemes(tokens) {
+  const [collection, ...ignored] = (tokens.metadata?.modes || []).filter(collection => collection.modes.length > 1);
+  if (!collection) return [];
+
+  if (ignored.length > 0) {
+    const names = ignored.map(other => `"${other.collection}" (${other.modes.join(', ')})`).join(', ');
+    console.log(chalk.yellow(`⚠ Themes are built from the modes of "${collection.collection}"; ignoring the modes of ${names}`));
+  }
+
+  return collection.modes.map(name => ({
+    name,
+    isDefault: name === collection.defaultMode
+  }));
+}
+
+/**
+ * Build the token tree for a single theme
+ * Tokens with a value for the theme's mode take that value; all others keep their default value
+ * @param {Object} tokens - Normalized tokens
+ * @param {string} theme - Theme (mode) name
+ * @returns {Object} - Token tree with theme values applied
+ */
+export function resolveThemeTokens(tokens, theme) {
+  const resolved = {};
+
+  for (const [key, value] of Object.entries(tokens)) {
+    if (!value || typeof value !== 'object') {
+      resolved[key] = value;
+    } else if (value.value !== undefined) {
+      resolved[key] = value.modes?.[theme] !== undefined
+        ? { ...value, value: value.modes[theme] }
+        : value;
+    } else {
+      resolved[key] = resolveThemeTokens(value, theme);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Check whether a token changes between themes
+ * @param {Object} token - Style Dictionary token
+ * @returns {boolean} - True if the token has per-mode values
+ */
+export function isThemedToken(token) {
+  return Boolean(token.modes && Object.keys(token.modes).length > 0);
+}
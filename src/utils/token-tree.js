@@ -0,0 +1,64 @@
+/**
+ * Token Tree Helpers
+ * Shared helpers for the nested token trees every pipeline stage passes around
+ *
+ * A token is an object with a `value` key (even when the value itself is
+ * missing); any other object is a group. `metadata` and `$metadata` at any
+ * level are never tokens.
+ */
+
+const METADATA_KEYS = ['metadata', '$metadata'];
+
+/**
+ * Check whether a node of a token tree is a token
+ * @param {*} node - Tree node
+ * @returns {boolean} - True if the node has a `value` key
+ */
+export function isToken(node) {
+  return Boolean(node) && typeof node === 'object' && 'value' in node;
+}
+
+/**
+ * Flatten a token tree into a list of tokens with dot-separated paths
+ * @param {Object} tree - Token tree
+ * @returns {Array} - Copies of the tokens in tree order, each with its `path` (e.g. "colors.primary.500")
+ */
+export function flattenTokens(tree, path = [], tokens = []) {
+  for (const [key, value] of Object.entries(tree || {})) {
+    if (METADATA_KEYS.includes(key) || !value || typeof value !== 'object') continue;
+
+    if (isToken(value)) {
+      tokens.push({ ...value, path: [...path, key].join('.') });
+    } else {
+      flattenTokens(value, [...path, key], tokens);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Count the tokens in a token tree
+ * @param {Object} tree - Token tree
+ * @returns {number} - Token count
+ */
+export function countTokens(tree) {
+  return flattenTokens(tree).length;
+}
+
+/**
+ * Set a value in a nested object, creating the groups along the path
+ * @param {Object} obj - Tree to write to
+ * @param {Array} keys - Path segments
+ * @param {*} value - Value to set
+ */
+export function setNestedValue(obj, keys, value) {
+  let current = obj;
+
+  for (const key of keys.slice(0, -1)) {
+    current[key] ??= {};
+    current = current[key];
+  }
+
+  current[keys[keys.length - 1]] = value;
+}
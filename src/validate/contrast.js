@@ -0,0 +1,168 @@
+/**
+ * Color Contrast Audit
+ * Computes WCAG 2.x contrast ratios for declared foreground/background
+ * color pairs, in every theme, and checks them against AA or AAA
+ */
+
+import { flattenTokens } from '../utils/token-tree.js';
+
+// Minimum ratios per WCAG 2.x level, for normal and large text
+const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+/**
+ * Audit contrast for declared color pairs
+ * Works on normalized tokens and on Style Dictionary's token tree; references
+ * are resolved and every theme found in `token.modes` is checked separately
+ * @param {Object} tokens - Token tree
+ * @param {Object} options - Audit options
+ * @param {Array} options.pairs - Pairs as { foreground, background, largeText }; paths may use `*` for one path segment
+ * @param {string} options.level - 'AA' or 'AAA' (default: 'AA')
+ * @returns {Object} - Audit: { level, results, violations }
+ */
+export function auditContrast(tokens, { pairs = [], level = 'AA' } = {}) {
+  const colors = flattenTokens(tokens).filter(token => token.type === 'color');
+  const themes = [...new Set(colors.flatMap(token => Object.keys(token.modes || {})))];
+  const results = [];
+
+  for (const pair of pairs) {
+    const foregrounds = colors.filter(token => matchesPath(token.path, pair.foreground));
+    const backgrounds = colors.filter(token => matchesPath(token.path, pair.background));
+    const required = WCAG_THRESHOLDS[level][pair.largeText ? 'large' : 'normal'];
+
+    for (const fg of foregrounds) {
+      for (const bg of backgrounds) {
+        if (fg.path === bg.path) continue;
+
+        // Pairs without per-mode values look the same in every theme
+        const pairThemes = fg.modes || bg.modes ? themes : [null];
+
+        for (const theme of pairThemes) {
+          const fgValue = resolveColor(fg, theme, colors);
+          const bgValue = resolveColor(bg, theme, colors);
+          if (!fgValue || !bgValue) continue;
+
+          const ratio = contrastRatio(fgValue, bgValue);
+
+          results.push({
+            foreground: fg.path,
+            background: bg.path,
+            theme,
+            foregroundValue: fgValue,
+            backgroundValue: bgValue,
+            ratio: Math.round(ratio * 100) / 100,
+            largeText: Boolean(pair.largeText),
+            AA: ratio >= WCAG_THRESHOLDS.AA[pair.largeText ? 'large' : 'normal'],
+            AAA: ratio >= WCAG_THRESHOLDS.AAA[pair.largeText ? 'large' : 'normal'],
+            required,
+            passes: ratio >= required,
+            source: fg.source
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    level,
+    results,
+    violations: results.filter(result => !result.passes)
+  };
+}
+
+/**
+ * Calculate the WCAG 2.x contrast ratio between two colors
+ * A translucent foreground is composited over the background first
+ * @param {string} foreground - Hex (#RGB, #RRGGBB or #RRGGBBAA) or rgb()/rgba() color
+ * @param {string} background - Hex or rgb() color
+ * @returns {number} - Contrast ratio from 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const bg = parseColor(background);
+  const fg = composite(parseColor(foreground), bg);
+
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(bg);
+
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Relative luminance of an sRGB color (WCAG 2.x definition)
+ * @param {Object} color - { r, g, b } in 0-255
+ * @returns {number} - Luminance from 0 to 1
+ */
+function relativeLuminance({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * Parse a hex or rgb()/rgba() color into channels
+ * @param {string} color - Hex color (#RGB, #RGBA, #RRGGBB or #RRGGBBAA) or rgb()/rgba()
+ * @returns {Object} - { r, g, b } in 0-255 and a in 0-1
+ */
+export function parseColor(color) {
+  if (color.startsWith('rgb')) {
+    const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number);
+    return { r, g, b, a };
+  }
+
+  let digits = color.replace(/^#/, '');
+  if (digits.length <= 4) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+    a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+  };
+}
+
+/**
+ * Composite a translucent color over an opaque one
+ */
+function composite(fg, bg) {
+  return {
+    r: fg.r * fg.a + bg.r * (1 - fg.a),
+    g: fg.g * fg.a + bg.g * (1 - fg.a),
+    b: fg.b * fg.a + bg.b * (1 - fg.a)
+  };
+}
+
+/**
+ * Check a token path against a pair pattern ("colors.semantic.*")
+ */
+function matchesPath(path, pattern) {
+  const regex = new RegExp(`^${pattern.split('.').map(part =>
+    part === '*' ? '[^.]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  ).join('\\.')}$`);
+
+  return regex.test(path);
+}
+
+/**
+ * Resolve a color token's hex or rgb() value for a theme, following references
+ */
+function resolveColor(token, theme, colors, seen = new Set()) {
+  if (!token || seen.has(token.path)) return undefined;
+  seen.add(token.path);
+
+  const value = theme && token.modes?.[theme] !== undefined ? token.modes[theme] : token.value;
+  const reference = typeof value === 'string' && value.match(/^\{([^{}]+)\}$/);
+
+  if (reference) {
+    const target = colors.find(color => color.path === reference[1]);
+    return resolveColor(target, theme, colors, seen);
+  }
+
+  return typeof value === 'string' && /^(#|rgba?\()/.test(value) ? value : undefined;
+}
@@ -0,0 +1,216 @@
+/**
+ * Token Validation Module
+ * Checks normalized tokens before they reach Style Dictionary
+ * Catches malformed values, name collisions and broken references early,
+ * and reports each problem with its token path and Figma source
+ */
+
+import StyleDictionary from 'style-dictionary';
+import { flattenTokens } from '../utils/token-tree.js';
+
+// Hex colors: #RGB, #RGBA, #RRGGBB or #RRGGBBAA
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// rgb()/rgba() colors, e.g. rgba(17, 24, 39, 0.5)
+const RGB_COLOR = /^rgba?\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*(,\s*(0|1|0?\.\d+)\s*)?\)$/i;
+
+// CSS gradients, one or more comma-separated layers
+const GRADIENT = /^(repeating-)?(linear|radial|conic)-gradient\(.*\)$/;
+
+// Dimensions must carry a unit, except zero
+const DIMENSION = /^(0|-?\d*\.?\d+(px|rem|em|%))$/;
+
+// A value that is entirely a reference, e.g. "{colors.primary.500}"
+const REFERENCE = /^\{([^{}]+)\}$/;
+
+// Any reference inside a value
+const REFERENCES = /\{([^{}]+)\}/g;
+
+/**
+ * Error thrown when tokens fail validation
+ * Carries the full validation report
+ */
+export class TokenValidationError extends Error {
+  /**
+   * @param {Object} report - Report from validateTokens()
+   */
+  constructor(report) {
+    super(`Token validation failed with ${report.errors.length} error(s)`);
+    this.name = 'TokenValidationError';
+    this.report = report;
+  }
+}
+
+/**
+ * Validate a normalized token tree
+ * @param {Object} tokens - Normalized tokens
+ * @returns {Object} - Report: { valid, tokenCount, errors, warnings }
+ */
+export function validateTokens(tokens) {
+  const report = {
+    valid: true,
+    tokenCount: 0,
+    errors: [],
+    warnings: []
+  };
+
+  const allTokens = flattenTokens(tokens);
+  const tokensByPath = new Map(allTokens.map(token => [token.path, token]));
+  const tokensByName = new Map();
+
+  report.tokenCount = allTokens.length;
+
+  // Figma names that normalized to the same path; only the last one was kept
+  for (const { path, figmaNames, fileKey } of tokens.metadata?.collisions || []) {
+    report.errors.push({
+      code: 'duplicate-path',
+      path,
+      message: `Figma names ${figmaNames.map(name => `"${name}"`).join(' and ')} normalize to this path` +
+        (fileKey ? ` in file ${fileKey}` : ''),
+      value: tokensByPath.get(path)?.value,
+      source: { figmaName: figmaNames.at(-1), ...(fileKey ? { fileKey } : {}) }
+    });
+  }
+
+  for (const token of allTokens) {
+    const addIssue = (list, code, message, value = token.value) => {
+      list.push({
+        code,
+        path: token.path,
+        message,
+        value,
+        source: {
+          figmaKey: token.source?.figmaKey,
+          figmaName: token.source?.figmaName
+        }
+      });
+    };
+
+    // Duplicate paths: different paths that collapse to the same output name
+    const name = toOutputName(token.path);
+    if (tokensByName.has(name)) {
+      addIssue(report.errors, 'duplicate-path',
+        `Token path collides with "${tokensByName.get(name)}" (both output as "${name}")`);
+    } else {
+      tokensByName.set(name, token.path);
+    }
+
+    if (!token.type) {
+      addIssue(report.warnings, 'missing-type', 'Token has no type');
+    }
+
+    // Check the default value and every mode value
+    const values = [['value', token.value], ...Object.entries(token.modes || {}).map(([mode, value]) => [`modes.${mode}`, value])];
+
+    for (const [label, value] of values) {
+      const where = label === 'value' ? '' : ` (${label})`;
+
+      if (value === undefined || value === null || value === '') {
+        addIssue(report.errors, 'missing-value', `Token has no value${where}`, value);
+        continue;
+      }
+
+      // References, including those inside composite (typography) values
+      for (const ref of findReferences(value)) {
+        if (!tokensByPath.has(ref)) {
+          addIssue(report.errors, 'broken-reference', `Reference {${ref}} does not point to a token${where}`, value);
+        } else if (isCircular(ref, token.path, tokensByPath)) {
+          addIssue(report.errors, 'circular-reference', `Reference {${ref}} leads back to this token${where}`, value);
+        }
+      }
+
+      // Shadow objects: every layer needs a color and lengths with units
+      if (token.type === 'shadow' && typeof value === 'object') {
+        for (const problem of findShadowProblems(value)) {
+          addIssue(report.errors, 'invalid-shadow', `${problem}${where}`, value);
+        }
+      }
+      if (typeof value === 'object' || REFERENCE.test(value)) continue;
+
+      if (token.type === 'color' && !HEX_COLOR.test(String(value)) && !RGB_COLOR.test(String(value))) {
+        addIssue(report.errors, 'invalid-color', `Color "${value}" is not a hex or rgb()/rgba() value${where}`, value);
+      }
+
+      if (token.type === 'gradient' && !GRADIENT.test(String(value))) {
+        addIssue(report.errors, 'invalid-gradient', `Gradient "${value}" is not a CSS linear, radial or conic gradient${where}`, value);
+      }
+
+      if ((token.type === 'dimension' || token.type === 'blur') && !DIMENSION.test(String(value))) {
+        const label = token.type === 'blur' ? 'Blur radius' : 'Dimension';
+        addIssue(report.errors, 'invalid-dimension', `${label} "${value}" has no unit (px, rem, em or %)${where}`, value);
+      }
+    }
+  }
+
+  report.valid = report.errors.length === 0;
+
+  return report;
+}
+
+/**
+ * Format a validation issue as a single readable line
+ * @param {Object} issue - Error or warning from a validation report
+ * @returns {string} - e.g. "colors.primary.500: Color "red" is not a hex value (Figma: primary/500)"
+ */
+export function formatIssue(issue) {
+  const figma = issue.source.figmaName ? ` (Figma: ${issue.source.figmaName})` : '';
+  return `${issue.path}: ${issue.message}${figma}`;
+}
+
+/**
+ * Output name of a token path, as the CSS and SCSS platforms write it
+ * e.g. "typography.fontSize.base" and "typography.font-size.base" are both "typography-font-size-base"
+ */
+function toOutputName(path) {
+  return StyleDictionary.hooks.transforms['name/kebab'].transform({ path: path.split('.') }, {});
+}
+
+/**
+ * Check whether following a reference leads back to the starting token
+ */
+function isCircular(ref, startPath, tokensByPath, seen = new Set()) {
+  if (ref === startPath) return true;
+  if (seen.has(ref)) return false;
+  seen.add(ref);
+
+  const target = tokensByPath.get(ref);
+  const values = [target?.value, ...Object.values(target?.modes || {})];
+
+  return values.some(value =>
+    findReferences(value).some(next => isCircular(next, startPath, tokensByPath, seen))
+  );
+}
+
+/**
+ * Helper: Problems with a shadow object or array of shadow objects
+ * References stand in for any property
+ */
+function findShadowProblems(value) {
+  const layers = Array.isArray(value) ? value : [value];
+  const isValid = (property, pattern) => typeof property === 'string' && (pattern.test(property) || REFERENCE.test(property));
+
+  return layers.flatMap((layer, index) => {
+    const label = layers.length > 1 ? `Shadow layer ${index + 1}` : 'Shadow';
+    const problems = [];
+
+    if (!isValid(layer?.color, HEX_COLOR) && !isValid(layer?.color, RGB_COLOR)) {
+      problems.push(`${label} color "${layer?.color}" is not a hex or rgb()/rgba() value`);
+    }
+    for (const property of ['offsetX', 'offsetY', 'blur', 'spread']) {
+      if (!isValid(layer?.[property], DIMENSION)) {
+        problems.push(`${label} ${property} "${layer?.[property]}" has no unit (px, rem, em or %)`);
+      }
+    }
+
+    return problems;
+  });
+}
+
+/**
+ * Helper: Paths referenced by a value, including inside composite (object) values
+ */
+function findReferences(value) {
+  if (typeof value === 'string') return [...value.matchAll(REFERENCES)].map(([, ref]) => ref);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(findReferences);
+  return [];
+}
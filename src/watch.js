@@ -0,0 +1,158 @@
+/**
+ * Pipeline Watch Mode
+ *
+ * Watches the token input (input/, plus a --dtcg= or --tokens-studio= source
+ * elsewhere) and the build code the build cache hashes (the Style Dictionary
+ * config, the custom transforms/formats and every local module they import),
+ * and reruns the pipeline after changes settle.
+ *
+ * Each run happens in a fresh child process: ES modules are cached once
+ * imported, so an in-process rerun would keep using the old config and
+ * transforms. Changes to build code only rerun the build (the last
+ * extraction is reused); the build cache then skips unchanged platforms.
+ */
+
+import { spawn } from 'child_process';
+import { watch, existsSync, statSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { getBuildCodeFiles } from './cache/build-cache.js';
+
+const PIPELINE_SCRIPT = fileURLToPath(new URL('./pipeline.js', import.meta.url));
+const DEBOUNCE_DELAY = 300; // ms to wait for changes to settle
+
+// Token input; changes need a full run
+const INPUT_TARGET = { dir: 'input', match: name => name.endsWith('.json'), stage: 'extract' };
+
+/**
+ * List what to watch for a set of pipeline arguments
+ * Build code is watched file by file, from the same list the build cache hashes.
+ * A DTCG file or Tokens Studio export passed with --dtcg= or --tokens-studio=
+ * is watched wherever it is; an export directory is watched recursively
+ * @param {Array} args - CLI arguments of the pipeline runs
+ * @returns {Promise<Array>} - Watch targets as { dir, match, stage, recursive }
+ */
+export async function getWatchTargets(args = []) {
+  const targets = [INPUT_TARGET];
+
+  // One target per directory of build code, matching only its build code files
+  const buildFiles = new Map();
+  for (const file of await getBuildCodeFiles()) {
+    if (!existsSync(file)) continue;
+    const dir = path.dirname(file);
+    if (!buildFiles.has(dir)) buildFiles.set(dir, []);
+    buildFiles.get(dir).push(path.basename(file));
+  }
+  for (const [dir, names] of buildFiles) {
+    targets.push({ dir, match: name => names.includes(name), stage: 'build' });
+  }
+
+  const sourcePath = args
+    .find(arg => arg.startsWith('--dtcg=') || arg.startsWith('--tokens-studio='))
+    ?.split('=')[1];
+
+  if (sourcePath) {
+    const source = path.resolve(process.cwd(), sourcePath);
+    targets.push(existsSync(source) && statSync(source).isDirectory()
+      ? { dir: source, match: name => name.endsWith('.json'), stage: 'extract', recursive: true }
+      : { dir: path.dirname(source), match: name => name === path.basename(source), stage: 'extract' });
+  }
+
+  return targets;
+}
+
+/**
+ * Find the stage a changed file reruns
+ * A file matched by several targets reruns the earliest stage
+ * @param {Array} targets - Targets from getWatchTargets()
+ * @param {string} file - Changed file, absolute or relative to the working directory
+ * @returns {string|null} - 'extract', 'build', or null when no target matches
+ */
+export function getChangeStage(targets, file) {
+  const changed = path.resolve(process.cwd(), file);
+
+  const stages = targets
+    .filter(target => {
+      const relative = path.relative(path.resolve(process.cwd(), target.dir), changed);
+      const inDir = target.recursive
+        ? !relative.startsWith('..') && !path.isAbsolute(relative)
+        : path.dirname(relative) === '.';
+      return inDir && target.match(target.recursive ? relative : path.basename(relative));
+    })
+    .map(target => target.stage);
+
+  if (stages.includes('extract')) return 'extract';
+  return stages.length > 0 ? 'build' : null;
+}
+
+/**
+ * Watch inputs and rerun the pipeline on change
+ * @param {Array} args - CLI arguments passed through to each pipeline run (e.g. --figma --file=KEY)
+ * @returns {Promise<Function>} - Stops watching
+ */
+export async function watchPipeline(args = []) {
+  let timer = null;
+  let running = false;
+  let pending = null; // 'extract' | 'build' | null
+  const watchers = [];
+
+  const run = (stage) => {
+    running = true;
+    const runArgs = stage === 'build' ? [...args, '--skip-extract'] : args;
+
+    const child = spawn(process.execPath, [PIPELINE_SCRIPT, ...runArgs], { stdio: 'inherit' });
+
+    child.on('exit', (code) => {
+      running = false;
+      console.log(code === 0
+        ? chalk.green('👀 Rebuilt. Watching for changes...')
+        : chalk.red('👀 Pipeline failed. Watching for changes...'));
+
+      if (pending) {
+        const next = pending;
+        pending = null;
+        run(next);
+      }
+    });
+  };
+
+  const schedule = (stage, file) => {
+    console.log(chalk.gray(`   Changed: ${file}`));
+
+    // An input change needs a full run; it wins over a build-only rerun
+    pending = pending === 'extract' || stage === 'extract' ? 'extract' : 'build';
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (running) return; // picked up when the current run exits
+      const next = pending;
+      pending = null;
+      run(next);
+    }, DEBOUNCE_DELAY);
+  };
+
+  const targets = await getWatchTargets(args);
+
+  for (const target of targets) {
+    const dir = path.resolve(process.cwd(), target.dir);
+
+    watchers.push(watch(dir, { recursive: Boolean(target.recursive) }, (event, filename) => {
+      const file = filename && path.join(dir, filename);
+      const stage = file && getChangeStage(targets, file);
+      if (stage) {
+        schedule(stage, path.relative(process.cwd(), file));
+      }
+    }));
+  }
+
+  console.log(chalk.bold.blue('👀 Watch mode'));
+  targets.forEach(target => console.log(chalk.gray(`   ${path.join(target.dir, '/')} (${target.stage})`)));
+
+  run('extract');
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
@@ -8,172 +8,414 @@
  * - Transform groups (how to convert tokens for each platform)
  * - Output files and formats
  * - Custom transforms for Figma-specific data
+ * - Per-theme builds for multi-mode tokens (see createThemeConfig)
  */
 
 import { initializeCustomTransforms } from './src/transform/custom-transforms.js';
 import { initializeCustomFormats } from './src/transform/custom-formats.js';
+import { resolveThemeTokens, isThemedToken } from './src/transform/themes.js';
 
 // Initialize custom transforms and formats before building
 initializeCustomTransforms();
 initializeCustomFormats();
 
-export default {
-  // Source token files
-  source: ['output/extracted-tokens.json'],
-
-  // Platform-specific configurations
-  platforms: {
-    // CSS Custom Properties (CSS Variables)
-    css: {
-      transformGroup: 'css',
-      buildPath: 'output/css/',
-      files: [
-        {
-          destination: 'variables.css',
-          format: 'css/variables',
-          options: {
-            // Output references to other tokens when possible
-            // e.g., if primary-button uses primary-500, output: var(--color-primary-500)
-            outputReferences: true,
-            // Selector for CSS variables
-            selector: ':root'
+/**
+ * WCAG contrast audit settings
+ * Each pair is checked in every theme; `*` matches one path segment.
+ * `onViolation` decides whether a failing pair warns or fails the pipeline.
+ */
+export const contrastAudit = {
+  level: 'AA',
+  onViolation: 'warn',
+  pairs: [
+    { foreground: 'colors.text.*', background: 'colors.background.*' },
+    { foreground: 'colors.semantic.*', background: 'colors.neutral.white', largeText: true },
+    { foreground: 'colors.neutral.white', background: 'colors.primary.600' }
+  ]
+};
+
+/**
+ * Create the base Style Dictionary configuration
+ * @param {Object} options - Build options
+ * @param {string} options.version - Token package version recorded in the documentation output
+ * @param {string} options.outputDir - Directory for the token source and all platform outputs (default: output)
+ * @returns {Object} - Style Dictionary configuration
+ */
+export function createConfig({ version, outputDir = 'output' } = {}) {
+  // Shared options for the publishable package
+  const packageOptions = {
+    name: 'design-system-tokens',
+    description: 'Design tokens generated from Figma',
+    version
+  };
+
+  return {
+    // Source token files
+    source: [`${outputDir}/extracted-tokens.json`],
+
+    // Platform-specific configurations
+    platforms: {
+      // CSS Custom Properties (CSS Variables)
+      css: {
+        transformGroup: 'custom/css-variables',
+        buildPath: `${outputDir}/css/`,
+        files: [
+          {
+            destination: 'variables.css',
+            format: 'css/variables',
+            options: {
+              // Output references to other tokens when possible
+              // e.g., if primary-button uses primary-500, output: var(--color-primary-500)
+              outputReferences: true,
+              // Selector for CSS variables
+              selector: ':root'
+            }
+          },
+          {
+            // Utility classes for text styles (e.g. .text-heading-h1)
+            destination: 'typography.css',
+            format: 'css/typography-classes'
           }
-        }
-      ]
-    },
-
-    // CSS with custom transforms (semantic naming + REM units)
-    'css-custom': {
-      transformGroup: 'custom/css',
-      buildPath: 'output/css/',
-      files: [
-        {
-          destination: 'tokens.css',
-          format: 'css/variables',
-          options: {
-            outputReferences: true,
-            selector: ':root',
-            prefix: 'token'
+        ]
+      },
+
+      // CSS with custom transforms (semantic naming + REM units)
+      'css-custom': {
+        transformGroup: 'custom/css',
+        buildPath: `${outputDir}/css/`,
+        files: [
+          {
+            destination: 'tokens.css',
+            format: 'css/variables',
+            options: {
+              outputReferences: true,
+              selector: ':root',
+              prefix: 'token'
+            }
           }
-        }
-      ]
-    },
-
-    // JavaScript/ES6 (for React, Vue, etc.)
-    js: {
-      transformGroup: 'js',
-      buildPath: 'output/js/',
-      files: [
-        {
-          destination: 'tokens.js',
-          format: 'javascript/es6',
-          options: {
-            outputReferences: false
+        ]
+      },
+
+      // JavaScript/ES6 (for React, Vue, etc.)
+      js: {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/js/`,
+        files: [
+          {
+            destination: 'tokens.js',
+            format: 'javascript/es6',
+            options: {
+              outputReferences: false
+            }
+          },
+          {
+            destination: 'tokens.d.ts',
+            format: 'typescript/token-declarations'
+          },
+          {
+            destination: 'tokens.module.js',
+            format: 'javascript/module',
+            options: {
+              outputReferences: false
+            }
           }
-        },
-        {
-          destination: 'tokens.module.js',
-          format: 'javascript/module',
-          options: {
-            outputReferences: false
+        ]
+      },
+
+      // SCSS Variables (for Sass/SCSS projects)
+      scss: {
+        transformGroup: 'custom/scss-variables',
+        buildPath: `${outputDir}/scss/`,
+        files: [
+          {
+            destination: '_variables.scss',
+            format: 'scss/variables',
+            // Sass would divide a font shorthand's size/line-height, so text
+            // styles only go to the _typography.scss mixins
+            filter: token => token.type !== 'typography',
+            options: {
+              outputReferences: true
+            }
+          },
+          {
+            // Mixins for text styles (e.g. @include text-heading-h1)
+            destination: '_typography.scss',
+            format: 'scss/typography-mixins'
           }
-        }
-      ]
-    },
-
-    // SCSS Variables (for Sass/SCSS projects)
-    scss: {
-      transformGroup: 'scss',
-      buildPath: 'output/scss/',
-      files: [
-        {
-          destination: '_variables.scss',
-          format: 'scss/variables',
-          options: {
-            outputReferences: true
+        ]
+      },
+
+      // JSON (for documentation or other tools)
+      json: {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/json/`,
+        files: [
+          {
+            destination: 'tokens.json',
+            format: 'json/nested'
+          },
+          {
+            destination: 'tokens-flat.json',
+            format: 'json/flat'
+          },
+          {
+            destination: 'tokens.dtcg.json',
+            format: 'json/dtcg'
           }
-        }
-      ]
-    },
-
-    // JSON (for documentation or other tools)
-    json: {
-      transformGroup: 'js',
-      buildPath: 'output/json/',
-      files: [
-        {
-          destination: 'tokens.json',
-          format: 'json/nested'
-        },
-        {
-          destination: 'tokens-flat.json',
-          format: 'json/flat'
-        }
-      ]
-    },
-
-    // Documentation (human-readable formats)
-    docs: {
-      transformGroup: 'js',
-      buildPath: 'output/docs/',
-      files: [
-        {
-          destination: 'tokens-documentation.json',
-          format: 'json/documentation'
-        },
-        {
-          destination: 'tokens-documentation.md',
-          format: 'markdown/documentation',
-          options: {
-            title: 'Design Tokens Documentation'
+        ]
+      },
+
+      // Documentation (human-readable formats)
+      docs: {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/docs/`,
+        files: [
+          {
+            destination: 'tokens-documentation.json',
+            format: 'json/documentation',
+            options: {
+              version
+            }
+          },
+          {
+            destination: 'tokens-documentation.md',
+            format: 'markdown/documentation',
+            options: {
+              title: 'Design Tokens Documentation'
+            }
+          },
+          {
+            destination: 'tokens-documentation.html',
+            format: 'html/documentation',
+            options: {
+              title: 'Design Tokens Documentation'
+            }
           }
-        },
-        {
-          destination: 'tokens-documentation.html',
-          format: 'html/documentation',
-          options: {
-            title: 'Design Tokens Documentation'
+        ]
+      },
+
+      // Publishable npm package (output/package/)
+      // Split across three platforms because each build needs its own transform group
+      'package-css': {
+        transformGroup: 'custom/css-variables',
+        buildPath: `${outputDir}/package/`,
+        files: [
+          {
+            destination: 'variables.css',
+            format: 'css/variables',
+            options: {
+              outputReferences: true
+            }
+          },
+          {
+            destination: 'typography.css',
+            format: 'css/typography-classes'
           }
-        }
-      ]
-    },
-
-    // Android (XML) - for mobile apps
-    android: {
-      transformGroup: 'android',
-      buildPath: 'output/android/',
-      files: [
-        {
-          destination: 'colors.xml',
-          format: 'android/colors',
-          filter: {
-            type: 'color'
+        ]
+      },
+
+      'package-scss': {
+        transformGroup: 'custom/scss-variables',
+        buildPath: `${outputDir}/package/`,
+        files: [
+          {
+            destination: '_variables.scss',
+            format: 'scss/variables',
+            filter: token => token.type !== 'typography',
+            options: {
+              outputReferences: true
+            }
+          },
+          {
+            destination: '_typography.scss',
+            format: 'scss/typography-mixins'
           }
-        },
-        {
-          destination: 'dimens.xml',
-          format: 'android/dimens',
-          filter: {
-            type: 'dimension'
+        ]
+      },
+
+      package: {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/package/`,
+        files: [
+          {
+            destination: 'index.js',
+            format: 'javascript/es6'
+          },
+          {
+            destination: 'index.cjs',
+            format: 'javascript/module-flat'
+          },
+          {
+            destination: 'index.d.ts',
+            format: 'typescript/token-declarations'
+          },
+          {
+            destination: 'tokens.json',
+            format: 'json/nested'
+          },
+          {
+            destination: 'package.json',
+            format: 'npm/package-json',
+            options: packageOptions
+          },
+          {
+            destination: 'README.md',
+            format: 'npm/readme',
+            options: packageOptions
           }
-        }
-      ]
-    },
-
-    // iOS (Swift) - for mobile apps
-    ios: {
-      transformGroup: 'ios',
-      buildPath: 'output/ios/',
-      files: [
-        {
-          destination: 'StyleDictionaryColor.swift',
-          format: 'ios-swift/class.swift',
-          className: 'StyleDictionaryColor',
-          filter: {
-            type: 'color'
+        ]
+      },
+
+      // Accessibility (WCAG contrast report for the pairs in contrastAudit)
+      accessibility: {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/accessibility/`,
+        files: [
+          {
+            destination: 'contrast-report.json',
+            format: 'accessibility/contrast-report',
+            options: contrastAudit
+          },
+          {
+            destination: 'contrast-report.md',
+            format: 'accessibility/contrast-report',
+            options: {
+              ...contrastAudit,
+              title: 'Color Contrast Report'
+            }
           }
-        }
-      ]
+        ]
+      },
+
+      // Android (XML) - for mobile apps
+      android: {
+        transformGroup: 'custom/android',
+        buildPath: `${outputDir}/android/`,
+        files: [
+          {
+            destination: 'colors.xml',
+            format: 'android/colors',
+            filter: {
+              type: 'color'
+            }
+          },
+          {
+            destination: 'dimens.xml',
+            format: 'android/dimens',
+            filter: {
+              type: 'dimension'
+            }
+          },
+          {
+            // Shadow elevations and blur radii, as dimens
+            destination: 'effects.xml',
+            format: 'android/resources',
+            filter: token => token.type === 'shadow' || token.type === 'blur',
+            options: {
+              resourceType: 'dimen'
+            }
+          }
+        ]
+      },
+
+      // iOS (Swift) - for mobile apps
+      ios: {
+        transformGroup: 'ios',
+        buildPath: `${outputDir}/ios/`,
+        files: [
+          {
+            destination: 'StyleDictionaryColor.swift',
+            format: 'ios-swift/class.swift',
+            className: 'StyleDictionaryColor',
+            filter: {
+              type: 'color'
+            }
+          },
+          {
+            // CALayer shadow properties for each shadow token
+            destination: 'StyleDictionaryShadow.swift',
+            format: 'ios-swift/shadows.swift',
+            filter: {
+              type: 'shadow'
+            },
+            options: {
+              className: 'StyleDictionaryShadow'
+            }
+          }
+        ]
+      }
     }
-  }
-};
+  };
+}
+
+export default createConfig();
+
+/**
+ * Create the Style Dictionary configuration for a single theme
+ * Builds the theme's CSS block, SCSS map and JS object from the tokens
+ * with that theme's mode values applied
+ * @param {Object} tokens - Normalized tokens
+ * @param {Object} theme - Theme from getThemes()
+ * @param {string} theme.name - Theme (mode) name, e.g. 'dark'
+ * @param {boolean} theme.isDefault - Whether this is the default theme
+ * @param {Object} options - Build options
+ * @param {string} options.outputDir - Directory for the platform outputs (default: output)
+ * @returns {Object} - Style Dictionary configuration
+ */
+export function createThemeConfig(tokens, { name, isDefault }, { outputDir = 'output' } = {}) {
+  return {
+    tokens: resolveThemeTokens(tokens, name),
+
+    platforms: {
+      // CSS - only tokens that change between themes; everything else comes from :root
+      'css-theme': {
+        transformGroup: 'custom/css-variables',
+        buildPath: `${outputDir}/css/themes/`,
+        files: [
+          {
+            destination: `${name}.css`,
+            format: 'css/theme',
+            filter: isThemedToken,
+            options: {
+              theme: name,
+              isDefault,
+              outputReferences: true
+            }
+          }
+        ]
+      },
+
+      // SCSS - a complete map of resolved values for the theme
+      'scss-theme': {
+        transformGroup: 'custom/scss-variables',
+        buildPath: `${outputDir}/scss/themes/`,
+        files: [
+          {
+            destination: `_${name}.scss`,
+            format: 'scss/theme-map',
+            // Font shorthands (size/line-height) are not valid map values; see _typography.scss
+            filter: token => token.type !== 'typography',
+            options: {
+              mapName: `theme-${name}`
+            }
+          }
+        ]
+      },
+
+      // JavaScript - a nested object of resolved values for the theme
+      'js-theme': {
+        transformGroup: 'js',
+        buildPath: `${outputDir}/js/themes/`,
+        files: [
+          {
+            destination: `${name}.js`,
+            format: 'javascript/esm',
+            options: {
+              stripMeta: { keep: ['value', 'type'] }
+            }
+          }
+        ]
+      }
+    }
+  };
+}
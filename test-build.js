@@ -0,0 +1,230 @@
+/**
+ * Test script for the generated outputs
+ * Builds the mock tokens into a temporary output directory and checks the
+ * files the platforms write: every SCSS partial compiles with Sass,
+ * typography classes use only defined variables, layered shadows are
+ * written as the same CSS in every output, variable aliases stay var()
+ * references, the contrast report matches the audit, the npm package
+ * ships every file it exports, and the TypeScript declarations name the
+ * module's exports.
+ * Reruns skip platforms whose inputs and build code are unchanged, and
+ * rebuild only the platforms a token change reaches, including through
+ * references to tokens the platform's filters leave out
+ * Run with: node test-build.js
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createRequire } from 'module';
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import * as sass from 'sass';
+import { runPipeline } from './src/pipeline.js';
+import { shadowToCss } from './src/transform/shadows.js';
+import { getBuildCodeFiles, hashPlatform } from './src/cache/build-cache.js';
+
+const OUTPUT_DIR = 'output/test-build';
+
+async function main() {
+  console.log('\n🧪 Testing Build Outputs\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  try {
+    // Keep what the build logs, to check Style Dictionary's warnings
+    const logged = [];
+    const { log, warn } = console;
+    console.log = console.warn = (...args) => {
+      logged.push(args.join(' '));
+      log(...args);
+    };
+
+    let results;
+    try {
+      results = await runPipeline({ outputDir: OUTPUT_DIR, force: true });
+    } finally {
+      Object.assign(console, { log, warn });
+    }
+    assert.ok(results.success, 'pipeline run failed');
+
+    await test('Compiles every SCSS partial', async () => {
+      const scssDir = path.join(OUTPUT_DIR, 'scss');
+      const themes = await fs.readdir(path.join(scssDir, 'themes'));
+      const partials = ['_variables.scss', '_typography.scss', ...themes.map(theme => `themes/${theme}`)];
+
+      assert.ok(themes.length >= 2, 'expected a light and a dark theme map');
+      for (const partial of partials) {
+        sass.compile(path.join(scssDir, partial), { loadPaths: [scssDir] });
+      }
+    });
+
+    await test('Keeps font stacks as one theme map value', async () => {
+      const map = await fs.readFile(path.join(OUTPUT_DIR, 'scss/themes/_light.scss'), 'utf-8');
+
+      assert.match(map, /'typography-font-family-mono': \('Monaco', 'Courier New', monospace\)/);
+      assert.doesNotMatch(map, /typography-styles-/, 'text styles belong in _typography.scss only');
+    });
+
+    await test('Writes a typography class per text style from defined variables', async () => {
+      const tokens = JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'extracted-tokens.json'), 'utf-8'));
+      const variables = await fs.readFile(path.join(OUTPUT_DIR, 'css/variables.css'), 'utf-8');
+      const classes = await fs.readFile(path.join(OUTPUT_DIR, 'css/typography.css'), 'utf-8');
+
+      const styleCount = JSON.stringify(tokens.typography.styles).match(/"type":"typography"/g).length;
+      assert.equal([...classes.matchAll(/^\.text-[\w-]+ \{$/gm)].length, styleCount);
+      assert.match(classes, /\.text-heading-h1 \{\n {2}font: var\(--typography-styles-heading-h1\);/);
+
+      for (const [, name] of classes.matchAll(/var\((--[\w-]+)\)/g)) {
+        assert.ok(variables.includes(`${name}:`), `${name} is not defined in variables.css`);
+      }
+    });
+
+    await test('Writes layered shadows as the same CSS everywhere', async () => {
+      const tokens = JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'extracted-tokens.json'), 'utf-8'));
+      const css = shadowToCss(tokens.effects.shadow.md.value);
+      assert.ok(css.includes(', '), 'expected a multi-layer shadow');
+
+      const read = file => fs.readFile(path.join(OUTPUT_DIR, file), 'utf-8');
+      assert.ok((await read('css/variables.css')).includes(`--effects-shadow-md: ${css};`));
+      assert.ok((await read('css/tokens.css')).includes(`--effects-shadow-md: ${css};`));
+      assert.ok((await read('scss/_variables.scss')).includes(`$effects-shadow-md: ${css};`));
+      assert.ok((await read('scss/themes/_light.scss')).includes(`'effects-shadow-md': (${css})`));
+      assert.ok((await read('docs/tokens-documentation.md')).includes(`\`${css}\``));
+    });
+
+    await test('Keeps Figma variable aliases as references', async () => {
+      const tokens = JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'extracted-tokens.json'), 'utf-8'));
+      assert.equal(tokens.colors.focus.ring.value, '{colors.primary.500}');
+      assert.deepEqual(tokens.colors.focus.ring.modes, { light: '{colors.primary.500}', dark: '{colors.primary.400}' });
+      assert.equal(tokens.colors.primary['500'].source.collection, 'Primitives');
+
+      const read = file => fs.readFile(path.join(OUTPUT_DIR, file), 'utf-8');
+      assert.ok((await read('css/variables.css')).includes('--colors-focus-ring: var(--colors-primary-500);'));
+
+      const dark = await read('css/themes/dark.css');
+      assert.ok(dark.includes('--colors-focus-ring: var(--colors-primary-400);'));
+      assert.ok(dark.includes('--colors-surface-raised: var(--colors-background-subtle);'));
+
+      // Theme files only hold themed tokens, but may reference any token in variables.css
+      assert.ok(!logged.some(line => /filtered out token references/i.test(line)), 'Style Dictionary warned about filtered references');
+    });
+
+    await test('Writes the contrast report of the audited pairs', async () => {
+      const report = JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'accessibility/contrast-report.json'), 'utf-8'));
+      const markdown = await fs.readFile(path.join(OUTPUT_DIR, 'accessibility/contrast-report.md'), 'utf-8');
+
+      assert.equal(report.$metadata.pairCount, results.contrast.results.length);
+      assert.equal(report.$metadata.violationCount, results.contrast.violations.length);
+      assert.deepEqual(report.results.filter(result => !result.passes).map(result => result.foreground),
+        results.contrast.violations.map(violation => violation.foreground));
+
+      // One table row per checked pair and theme
+      assert.equal(markdown.split('\n').filter(line => line.startsWith('| `')).length, report.results.length);
+      assert.equal(markdown.split('\n').filter(line => line.includes('❌')).length, report.$metadata.violationCount);
+    });
+
+    await test('Ships every file the npm package exports', async () => {
+      const packageDir = path.join(OUTPUT_DIR, 'package');
+      const manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+
+      assert.equal(manifest.version, results.version.version);
+
+      const targets = Object.values(manifest.exports).flatMap(target => typeof target === 'string' ? [target] : Object.values(target));
+      const files = [...manifest.files, ...targets, manifest.main, manifest.module, manifest.types, manifest.style, manifest.sass];
+      for (const file of new Set(files.map(file => path.normalize(file)))) {
+        await fs.access(path.join(packageDir, file));
+      }
+
+      // The CommonJS entry exports the same tokens as the ES module
+      const esm = await import(pathToFileURL(path.resolve(packageDir, 'index.js')));
+      const cjs = createRequire(import.meta.url)(path.resolve(packageDir, 'index.cjs'));
+      assert.deepEqual({ ...cjs }, { ...esm });
+    });
+
+    await test('Declares exactly the exports of the JavaScript modules', async () => {
+      for (const [module, declarations] of [['js/tokens.js', 'js/tokens.d.ts'], ['package/index.js', 'package/index.d.ts']]) {
+        const exports = Object.keys(await import(pathToFileURL(path.resolve(OUTPUT_DIR, module)))).sort();
+        const dts = await fs.readFile(path.join(OUTPUT_DIR, declarations), 'utf-8');
+
+        const declared = [...dts.matchAll(/^export declare const (\w+):/gm)].map(match => match[1]).sort();
+        const unionNames = [...dts.matchAll(/^ {2}\| '(\w+)';?$/gm)].map(match => match[1]).sort();
+        const valueKeys = [...dts.split('export interface TokenValues')[1].matchAll(/^ {2}(\w+):/gm)].map(match => match[1]).sort();
+
+        assert.deepEqual(declared, exports, `${declarations} declarations`);
+        assert.deepEqual(unionNames, exports, `${declarations} TokenName unions`);
+        assert.deepEqual(valueKeys, exports, `${declarations} TokenValues keys`);
+      }
+    });
+
+    await test('Skips unchanged platforms on the next run', async () => {
+      const rerun = await runPipeline({ outputDir: OUTPUT_DIR });
+
+      assert.deepEqual(rerun.steps.build.built, []);
+      assert.ok(rerun.steps.build.skipped.includes('base:accessibility'));
+    });
+
+    await test('Rebuilds only the platforms whose tokens changed', async () => {
+      const tokensPath = path.join(OUTPUT_DIR, 'extracted-tokens.json');
+      const tokens = JSON.parse(await fs.readFile(tokensPath, 'utf-8'));
+      tokens.spacing.md.value = '20px';
+      await fs.writeFile(tokensPath, JSON.stringify(tokens, null, 2));
+
+      const rerun = await runPipeline({ outputDir: OUTPUT_DIR, skipExtract: true });
+      const { built, skipped } = rerun.steps.build;
+
+      // Dimensions reach the CSS and Android builds, but not the color/shadow-only iOS build or the themed-only CSS themes
+      assert.ok(built.includes('base:css') && built.includes('base:android'), `built: ${built.join(', ')}`);
+      assert.ok(skipped.includes('base:ios') && skipped.includes('theme:dark:css-theme'), `skipped: ${skipped.join(', ')}`);
+      assert.ok((await fs.readFile(path.join(OUTPUT_DIR, 'css/variables.css'), 'utf-8')).includes('--spacing-md: 20px;'));
+    });
+
+    await test('Hashes the tokens that filtered tokens reference', async () => {
+      const platform = { files: [{ destination: 'colors.xml', filter: { type: 'color' } }] };
+      const tokens = value => ({
+        base: { brand: { value, type: 'other' }, unused: { value: '1', type: 'other' } },
+        colors: {
+          primary: { value: '{colors.alias}', type: 'color' },
+          alias: { value: '#000000', type: 'color', modes: { light: '#000000', dark: '{base.brand}' } }
+        }
+      });
+      const hash = value => hashPlatform(platform, tokens(value), 'code');
+
+      // base.brand is filtered out, but colors.primary reaches it through colors.alias
+      assert.notEqual(hash('#111111'), hash('#222222'));
+
+      const unused = tokens('#111111');
+      unused.base.unused.value = '2';
+      assert.equal(hashPlatform(platform, unused, 'code'), hash('#111111'), 'unreferenced tokens outside the filter are ignored');
+
+      // A filter that fails on a token selects every token
+      const throwing = { files: [{ destination: 'colors.xml', filter: token => token.attributes.category === 'color' }] };
+      assert.notEqual(hashPlatform(throwing, unused, 'code'), hashPlatform(throwing, tokens('#111111'), 'code'));
+    });
+
+    await test('Counts the modules formats and transforms import as build code', async () => {
+      const files = await getBuildCodeFiles();
+
+      assert.ok(files.includes('src/validate/contrast.js'), 'accessibility/contrast-report uses contrast.js');
+      assert.ok(files.includes('src/extract/normalize.js'), 'json/dtcg uses toDtcgToken');
+      assert.ok(files.includes('src/transform/shadows.js'));
+    });
+
+    console.log(chalk.green('\n✅ All build output tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
@@ -0,0 +1,139 @@
+/**
+ * Test script for token diffs, the changelog and version bumps
+ * Compares two token snapshots and checks the additions, removals,
+ * renames (matched by Figma key) and value changes found, the changelog
+ * entry written for them and the semantic version bump they call for
+ * Run with: node test-diff.js
+ */
+
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { diffTokens, formatChangelogEntry, recommendVersionBump, bumpVersion, isSemver } from './src/diff/diff-tokens.js';
+
+const PREVIOUS = {
+  colors: {
+    primary: { value: '#6366F1', type: 'color', source: { figmaKey: 'k-primary' } },
+    accent: { value: '#F59E0B', type: 'color', source: { figmaKey: 'k-accent' } },
+    legacy: { value: '#000000', type: 'color', source: { figmaKey: 'k-legacy' } },
+    background: { value: '#FFFFFF', type: 'color', modes: { light: '#FFFFFF', dark: '#111827' } }
+  },
+  metadata: { extractedAt: 'before' }
+};
+
+const NEXT = {
+  colors: {
+    primary: { value: '#4F46E5', type: 'color', source: { figmaKey: 'k-primary' } },
+    highlight: { value: '#F59E0B', type: 'color', source: { figmaKey: 'k-accent' } },
+    success: { value: '#10B981', type: 'color', source: { figmaKey: 'k-success' } },
+    background: { value: '#FFFFFF', type: 'color', modes: { light: '#FFFFFF', dark: '#030712' } }
+  },
+  metadata: { extractedAt: 'after' }
+};
+
+async function main() {
+  console.log('\n🧪 Testing Token Diffs\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  try {
+    await test('Finds additions, removals, renames and value changes', async () => {
+      const diff = diffTokens(PREVIOUS, NEXT);
+
+      assert.deepEqual(diff.added.map(token => token.path), ['colors.success']);
+      assert.deepEqual(diff.removed.map(token => token.path), ['colors.legacy']);
+      assert.deepEqual(diff.renamed, [{
+        from: 'colors.accent',
+        to: 'colors.highlight',
+        figmaKey: 'k-accent',
+        valueChanged: false,
+        previous: '#F59E0B',
+        value: '#F59E0B'
+      }]);
+
+      // A change in one mode is a change, even when the default value is the same
+      assert.deepEqual(diff.changed.map(change => change.path), ['colors.primary', 'colors.background']);
+      assert.deepEqual(diff.changed[1].modes, { light: '#FFFFFF', dark: '#030712' });
+      assert.deepEqual(diff.summary, { added: 1, removed: 1, renamed: 1, changed: 2, total: 5 });
+    });
+
+    await test('Treats every token as added on the first run', async () => {
+      const diff = diffTokens(null, NEXT);
+
+      assert.equal(diff.summary.added, 4);
+      assert.equal(diff.summary.total, 4);
+      assert.equal(diffTokens(NEXT, NEXT).summary.total, 0, 'metadata is not compared');
+    });
+
+    await test('Writes a changelog entry per kind of change', async () => {
+      const entry = formatChangelogEntry(diffTokens(PREVIOUS, NEXT), { title: '2.0.0' });
+
+      assert.equal(entry, [
+        '## 2.0.0',
+        '',
+        '### Removed',
+        '',
+        '- `colors.legacy` (`#000000`)',
+        '',
+        '### Renamed',
+        '',
+        '- `colors.accent` → `colors.highlight`',
+        '',
+        '### Added',
+        '',
+        '- `colors.success` (`#10B981`)',
+        '',
+        '### Changed',
+        '',
+        '- `colors.primary`: `#6366F1` → `#4F46E5`',
+        '- `colors.background` (dark): `#111827` → `#030712`',
+        '',
+        ''
+      ].join('\n'));
+
+      assert.equal(formatChangelogEntry(diffTokens(null, NEXT), { title: '1.0.0', initial: true }),
+        '## 1.0.0\n\nInitial token set (4 tokens).\n\n');
+      assert.equal(formatChangelogEntry(diffTokens(NEXT, NEXT), { title: '1.0.1' }), '## 1.0.1\n\nNo token changes.\n\n');
+    });
+
+    await test('Recommends the semver bump for the biggest change', async () => {
+      const only = (...paths) => ({
+        colors: Object.fromEntries(Object.entries(NEXT.colors).filter(([key]) => paths.includes(key)))
+      });
+      const bumpFor = (previous, next) => recommendVersionBump(diffTokens(previous, next));
+
+      // Removals and renames break consumers; additions are features; value changes are fixes
+      assert.equal(bumpFor(PREVIOUS, NEXT), 'major');
+      assert.equal(bumpFor(only('primary', 'success'), only('primary')), 'major');
+      assert.equal(bumpFor(only('primary'), only('primary', 'success')), 'minor');
+      assert.equal(bumpFor(only('primary'), { colors: { primary: { ...NEXT.colors.primary, value: '#000000' } } }), 'patch');
+      assert.equal(bumpFor(NEXT, NEXT), null);
+    });
+
+    await test('Bumps semantic versions', async () => {
+      assert.equal(bumpVersion('1.4.2', 'major'), '2.0.0');
+      assert.equal(bumpVersion('1.4.2', 'minor'), '1.5.0');
+      assert.equal(bumpVersion('1.4.2', 'patch'), '1.4.3');
+      assert.equal(bumpVersion('1.4.2', null), '1.4.2');
+
+      assert.ok(isSemver('10.0.1'));
+      assert.ok(!isSemver('1.0'));
+      assert.ok(!isSemver('1.0.0-beta.1'));
+      assert.ok(!isSemver(undefined));
+    });
+
+    console.log(chalk.green('\n✅ All token diff tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
@@ -0,0 +1,327 @@
+/**
+ * Test script for the Figma API extractor
+ * Runs the extractor against a local fake Figma server: style nodes are
+ * fetched in batches with limited parallelism, rate-limited (429)
+ * responses are retried after Retry-After or an exponential backoff (and
+ * a batch that keeps failing fails the extraction),
+ * recorded file and team library responses replay without reaching the
+ * server, several files merge into one token tree, and team libraries
+ * yield only published, non-deprecated styles
+ * Run with: node test-figma-api.js
+ */
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+
+process.env.FIGMA_ACCESS_TOKEN = 'fake-token';
+
+const { fetchFileTokens, fetchPublishedStyles } = await import('./src/extract/figma-api.js');
+const { normalizeTokens } = await import('./src/extract/normalize.js');
+const { mergeFileTokens } = await import('./src/extract/merge-files.js');
+
+const STYLE_COUNT = 120;
+
+async function main() {
+  console.log('\n🧪 Testing Figma API Extraction\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  const server = await startFakeFigma();
+  const apiBase = `http://127.0.0.1:${server.address().port}/v1`;
+
+  try {
+    await test('Batches style nodes into multi-id requests', async () => {
+      server.reset();
+      const data = await fetchFileTokens('demo', { apiBase, batchSize: 50, concurrency: 2 });
+
+      assert.equal(server.nodeRequests.length, 3);
+      assert.deepEqual(server.nodeRequests.map(ids => ids.length), [50, 50, 20]);
+      assert.equal(data.styles.colors.length, STYLE_COUNT);
+      assert.equal(data.styles.colors[0].name, 'color/0');
+      assert.equal(data.styles.colors[STYLE_COUNT - 1].name, `color/${STYLE_COUNT - 1}`);
+    });
+
+    await test('Keeps at most `concurrency` requests in flight', async () => {
+      server.reset({ delay: 50 });
+      await fetchFileTokens('demo', { apiBase, batchSize: 10, concurrency: 3 });
+
+      assert.equal(server.nodeRequests.length, 12);
+      assert.equal(server.maxInFlight, 3);
+    });
+
+    await test('Waits for Retry-After on 429', async () => {
+      server.reset({ rateLimited: 1, retryAfter: '1' });
+      const start = Date.now();
+      const data = await fetchFileTokens('demo', { apiBase, batchSize: 200, concurrency: 1 });
+
+      assert.ok(Date.now() - start >= 1000, 'retried before Retry-After elapsed');
+      assert.equal(server.nodeRequests.length, 2);
+      assert.equal(data.styles.colors.length, STYLE_COUNT);
+    });
+
+    await test('Backs off exponentially without Retry-After', async () => {
+      server.reset({ rateLimited: 3 });
+      const data = await fetchFileTokens('demo', { apiBase, batchSize: 200, retryDelay: 20 });
+
+      const gaps = server.nodeTimes.slice(1).map((time, index) => time - server.nodeTimes[index]);
+      assert.equal(server.nodeRequests.length, 4);
+      assert.ok(gaps[0] >= 20 && gaps[1] >= 40 && gaps[2] >= 80, `unexpected backoff: ${gaps.join(', ')}ms`);
+      assert.equal(data.styles.colors.length, STYLE_COUNT);
+    });
+
+    await test('Gives up after maxRetries', async () => {
+      server.reset({ rateLimited: Infinity });
+
+      // A failed batch fails the extraction, rather than dropping its styles from the tokens
+      await assert.rejects(
+        fetchFileTokens('demo', { apiBase, batchSize: 200, maxRetries: 2, retryDelay: 1 }),
+        /Could not fetch details for 120 of 120 style\(s\) in 1 request\(s\): Request failed with status code 429/
+      );
+      assert.equal(server.nodeRequests.length, 3);
+    });
+
+    await test('Replays recorded responses offline', async () => {
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-cache-'));
+
+      try {
+        server.reset();
+        const recorded = await fetchFileTokens('demo', { apiBase, batchSize: 50, cache: 'record', cacheDir });
+        const index = JSON.parse(await fs.readFile(path.join(cacheDir, 'demo', 'index.json'), 'utf-8'));
+        assert.equal(index.latest, '7');
+        assert.equal(index.versions['7'].lastModified, '2026-01-01T00:00:00Z');
+
+        // No server requests and no access token needed
+        server.reset();
+        delete process.env.FIGMA_ACCESS_TOKEN;
+        const replayed = await fetchFileTokens('demo', { apiBase, batchSize: 50, cache: 'replay', cacheDir });
+
+        assert.equal(server.requestCount, 0);
+        assert.deepEqual(replayed, recorded);
+
+        // Batches that were never recorded fail instead of going to Figma
+        await assert.rejects(
+          fetchFileTokens('demo', { apiBase, batchSize: 40, cache: 'replay', cacheDir }),
+          /No recorded Figma response for \/files\/demo\/nodes/
+        );
+        assert.equal(server.requestCount, 0);
+      } finally {
+        process.env.FIGMA_ACCESS_TOKEN = 'fake-token';
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
+    });
+
+    await test('Merges files in precedence order', async () => {
+      server.reset();
+      const files = [];
+      for (const fileKey of ['demo', 'brand']) {
+        files.push({ fileKey, tokens: normalizeTokens(await fetchFileTokens(fileKey, { apiBase })) });
+      }
+      const tokens = mergeFileTokens(files);
+
+      // The brand file overrides color/0 and adds its own color
+      assert.equal(tokens.colors.color['0'].value, '#FF0000');
+      assert.equal(tokens.colors.color['0'].source.fileKey, 'brand');
+      assert.equal(tokens.colors.color['1'].source.fileKey, 'demo');
+      assert.equal(tokens.colors.color.accent.source.fileName, 'Fake Brand');
+      assert.deepEqual(tokens.metadata.files.map(file => file.key), ['demo', 'brand']);
+      assert.deepEqual(tokens.metadata.conflicts, [{ path: 'colors.color.0', files: ['demo', 'brand'], winner: 'brand' }]);
+
+      assert.throws(() => mergeFileTokens(files, { onConflict: 'error' }), /colors\.color\.0 is defined in demo and brand; using brand/);
+    });
+
+    await test('Fetches published, non-deprecated team library styles', async () => {
+      server.reset();
+      const data = await fetchPublishedStyles({ teamId: 'team-1' }, { apiBase });
+
+      // Pages of two until an empty one; node requests go to each publishing file
+      assert.deepEqual(server.teamCursors, [null, '2', '4', '5']);
+      assert.deepEqual(server.nodeRequests, [['1:0', '1:1'], ['2:1']]);
+      assert.deepEqual(data.styles.colors.map(style => style.name), ['color/0', 'color/1', 'color/accent']);
+      assert.deepEqual(data.styles.colors[2].published, {
+        fileKey: 'brand',
+        nodeId: '2:1',
+        createdAt: '2025-06-01T00:00:00Z',
+        updatedAt: '2026-02-01T00:00:00Z',
+        publishedBy: 'design-systems',
+        thumbnailUrl: 'https://example.com/2:1.png'
+      });
+
+      const tokens = normalizeTokens(data);
+      assert.equal(tokens.colors.color.accent.source.published.fileKey, 'brand');
+      assert.equal(tokens.colors.color['2'], undefined);
+    });
+
+    await test('Fetches published styles by key', async () => {
+      server.reset();
+      const data = await fetchPublishedStyles({ styleKeys: ['style-1:0', 'style-1:2'] }, { apiBase });
+
+      assert.deepEqual(server.teamCursors, []);
+      assert.deepEqual(data.styles.colors.map(style => style.name), ['color/0']);
+      assert.equal(data.styles.colors[0].published.fileKey, 'demo');
+    });
+
+    await test('Replays recorded team library styles offline', async () => {
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-cache-'));
+      const library = { teamId: 'team-1', styleKeys: ['style-1:0'] };
+
+      try {
+        server.reset();
+        const recorded = await fetchPublishedStyles(library, { apiBase, cache: 'record', cacheDir });
+        assert.equal(server.teamCursors.length, 4);
+
+        server.reset();
+        delete process.env.FIGMA_ACCESS_TOKEN;
+        const replayed = await fetchPublishedStyles(library, { apiBase, cache: 'replay', cacheDir });
+
+        assert.equal(server.requestCount, 0);
+        assert.deepEqual(replayed, recorded);
+
+        // Style keys that were never looked up fail instead of going to Figma
+        await assert.rejects(
+          fetchPublishedStyles({ styleKeys: ['style-1:1'] }, { apiBase, cache: 'replay', cacheDir }),
+          /No recorded Figma response for \/styles\/style-1:1/
+        );
+        assert.equal(server.requestCount, 0);
+      } finally {
+        process.env.FIGMA_ACCESS_TOKEN = 'fake-token';
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
+    });
+
+    console.log(chalk.green('\n✅ All Figma API tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+/**
+ * Start a fake Figma API on a free port
+ * It serves "demo", with STYLE_COUNT fill styles, and "brand", which redefines
+ * color/0 and adds color/accent; every /nodes request is recorded. Team
+ * "team-1" has published a few of those styles, color/2 as deprecated
+ */
+function startFakeFigma() {
+  let settings = {};
+  let inFlight = 0;
+
+  const fillStyle = (name, node_id) => ({ key: `style-${node_id}`, name, node_id, style_type: 'FILL', description: '' });
+  const files = {
+    demo: {
+      name: 'Fake Library',
+      styles: Array.from({ length: STYLE_COUNT }, (_, index) => fillStyle(`color/${index}`, `1:${index}`)),
+      color: { r: 0.4, g: 0.4, b: 0.9, a: 1 }
+    },
+    brand: {
+      name: 'Fake Brand',
+      styles: [fillStyle('color/0', '2:0'), fillStyle('color/accent', '2:1')],
+      color: { r: 1, g: 0, b: 0, a: 1 }
+    }
+  };
+
+  const publish = (file, style, description = '') => ({
+    ...style,
+    description,
+    file_key: file,
+    created_at: '2025-06-01T00:00:00Z',
+    updated_at: '2026-02-01T00:00:00Z',
+    user: { handle: 'design-systems' },
+    thumbnail_url: `https://example.com/${style.node_id}.png`
+  });
+  const teamStyles = [
+    publish('demo', files.demo.styles[0]),
+    publish('demo', files.demo.styles[1]),
+    publish('demo', files.demo.styles[2], 'Deprecated: use color/1'),
+    publish('brand', files.brand.styles[1]),
+    publish('brand', files.brand.styles[0], 'Deprecated')
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    server.requestCount++;
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.headers['x-figma-token'] !== 'fake-token') {
+      return send(403, { status: 403, message: 'Invalid token' });
+    }
+
+    // Team styles come in pages of two, however many are asked for
+    if (url.pathname === '/v1/teams/team-1/styles') {
+      const after = url.searchParams.get('after');
+      server.teamCursors.push(after);
+      const start = Number(after || 0);
+      const page = teamStyles.slice(start, start + 2);
+      return send(200, { meta: { styles: page, cursor: page.length > 0 ? { before: start, after: String(start + page.length) } : {} } });
+    }
+    const publishedStyle = teamStyles.find(style => url.pathname === `/v1/styles/${style.key}`);
+    if (publishedStyle) {
+      return send(200, { meta: publishedStyle });
+    }
+
+    const [, fileKey, resource = ''] = url.pathname.match(/^\/v1\/files\/([^/]+)(\/.*)?$/) || [];
+    const file = files[fileKey];
+
+    if (file && resource === '') {
+      return send(200, { name: file.name, lastModified: '2026-01-01T00:00:00Z', version: '7' });
+    }
+    if (file && resource === '/styles') {
+      return send(200, { meta: { styles: file.styles } });
+    }
+    if (file && resource === '/variables/local') {
+      return send(200, { meta: { variables: {}, variableCollections: {} } });
+    }
+    if (!file || resource !== '/nodes') {
+      return send(404, { status: 404, message: 'Not found' });
+    }
+
+    const ids = url.searchParams.get('ids').split(',');
+    server.nodeRequests.push(ids);
+    server.nodeTimes.push(Date.now());
+
+    if (server.nodeRequests.length <= settings.rateLimited) {
+      return send(429, { status: 429, message: 'Rate limited' },
+        settings.retryAfter ? { 'Retry-After': settings.retryAfter } : {});
+    }
+
+    inFlight++;
+    server.maxInFlight = Math.max(server.maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, settings.delay || 0));
+    inFlight--;
+
+    send(200, {
+      nodes: Object.fromEntries(ids.map(id => [id, {
+        document: { id, fills: [{ type: 'SOLID', color: file.color }] }
+      }]))
+    });
+  });
+
+  server.reset = (options = {}) => {
+    settings = options;
+    server.nodeRequests = [];
+    server.nodeTimes = [];
+    server.maxInFlight = 0;
+    server.requestCount = 0;
+    server.teamCursors = [];
+  };
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+main();
@@ -0,0 +1,116 @@
+/**
+ * Test script for the pipeline job queue
+ * Queues payload runs (which build into their own run directory, leaving
+ * output/ alone) and checks that they run one at a time, in order, keep
+ * their history and artifacts, zip those artifacts into a valid archive,
+ * and fail when the payload holds no tokens
+ * Run with: node test-jobs.js
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import JSZip from 'jszip';
+import { enqueueRun, listRuns, getRun, readRunFiles } from './src/jobs/job-queue.js';
+import { createZip } from './src/jobs/zip.js';
+
+const RUNS_DIR = path.join('output', 'runs');
+
+const PAYLOAD = {
+  colors: {
+    primary: {
+      500: { value: '#6366F1', type: 'color', description: 'Primary' }
+    }
+  }
+};
+
+async function main() {
+  console.log('\n🧪 Testing Pipeline Job Queue\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  const runIds = [];
+
+  try {
+    await test('Runs queued jobs one at a time, in order', async () => {
+      const positions = [];
+      const onProgress = event => event.type === 'run-queued' && positions.push(event.position);
+
+      const first = enqueueRun({ tokens: PAYLOAD }, { onProgress });
+      const second = enqueueRun({ tokens: PAYLOAD }, { onProgress });
+      runIds.push(first.job.id, second.job.id);
+
+      // The second run waits for the first, which is about to start
+      assert.deepEqual(positions, [0, 1]);
+      assert.equal(second.job.status, 'queued');
+
+      const [a, b] = await Promise.all([first.done, second.done]);
+      assert.equal(a.status, 'succeeded', a.error);
+      assert.equal(b.status, 'succeeded', b.error);
+      assert.ok(b.startedAt >= a.finishedAt, 'second run started before the first finished');
+    });
+
+    await test('Keeps each run\'s history and artifacts', async () => {
+      const runs = await listRuns();
+      assert.ok(runIds.every(id => runs.some(run => run.id === id)));
+
+      const run = await getRun(runIds[0]);
+      assert.equal(run.status, 'succeeded');
+      assert.ok(run.files.some(file => file.path === 'css/variables.css'));
+
+      const files = await readRunFiles(runIds[0]);
+      const css = files.find(file => file.path === 'css/variables.css').content.toString('utf-8');
+      assert.match(css, /--colors-primary-500: #6366f1;/);
+    });
+
+    await test('Zips a run\'s artifacts into an archive zip readers accept', async () => {
+      const files = [
+        ...await readRunFiles(runIds[0]),
+        { path: 'notes/ünïcode name.txt', content: 'Token notes ✓' },
+        { path: 'empty.txt', content: '' }
+      ];
+
+      // JSZip checks every entry's CRC-32 and sizes against the central directory
+      const archive = await JSZip.loadAsync(createZip(files), { checkCRC32: true });
+      const entries = Object.values(archive.files).filter(entry => !entry.dir);
+
+      assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.path));
+      for (const file of files) {
+        const content = await archive.file(file.path).async('nodebuffer');
+        assert.ok(content.equals(Buffer.from(file.content)), `${file.path} content differs`);
+      }
+    });
+
+    await test('Fails payload runs that hold no tokens', async () => {
+      for (const tokens of [{ foo: 1 }, { colors: {} }]) {
+        const { job, done } = enqueueRun({ tokens });
+        runIds.push(job.id);
+
+        // The API answers a failed payload run with 422
+        const run = await done;
+        assert.equal(run.status, 'failed');
+        assert.match(run.error, /no recognised token groups|no design tokens/);
+      }
+    });
+
+    console.log(chalk.green('\n✅ All job queue tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    for (const id of runIds) {
+      await fs.rm(path.join(RUNS_DIR, id), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
@@ -0,0 +1,357 @@
+/**
+ * Test script for token normalization
+ * Normalizes small Figma responses and checks the tokens they become:
+ * variables keep their per-mode values and aliases, themes come from one
+ * multi-mode collection, text styles become composite typography tokens
+ * that reference shared atoms, fill styles keep their alpha, gradients and
+ * stacked paints, and effect styles become shadow and blur tokens. DTCG files are read into the same shape, and the
+ * DTCG intermediate file reads back to the tokens it was written from
+ * Run with: node test-normalize.js
+ */
+
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { normalizeTokens, toDtcgTokens } from './src/extract/normalize.js';
+import { normalizeDtcgTokens } from './src/extract/dtcg.js';
+import { fetchFileStyles } from './src/extract/mock-figma-api.js';
+import { shadowToCss } from './src/transform/shadows.js';
+import { getThemes, resolveThemeTokens } from './src/transform/themes.js';
+
+async function main() {
+  console.log('\n🧪 Testing Token Normalization\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  try {
+    await test('Normalizes variables with per-mode values', async () => {
+      const tokens = normalizeTokens({
+        name: 'Variables',
+        variables: {
+          'VariableID:bg': variable('VariableID:bg', 'colors/background', 'COLOR', 'theme', {
+            'theme/light': { r: 1, g: 1, b: 1, a: 1 },
+            'theme/dark': { r: 0, g: 0, b: 0, a: 0.5 }
+          }),
+          'VariableID:gap': variable('VariableID:gap', 'spacing/md', 'FLOAT', 'dimensions', { 'dimensions/value': 16 }, ['GAP']),
+          'VariableID:ratio': variable('VariableID:ratio', 'ratios/golden', 'FLOAT', 'dimensions', { 'dimensions/value': 1.618 })
+        },
+        variableCollections: {
+          theme: collection('theme', 'Theme', ['Light', 'Dark'], 'theme/dark'),
+          dimensions: collection('dimensions', 'Dimensions', ['Value'])
+        }
+      });
+
+      // The default mode's value is the token value; each mode's value is kept
+      assert.deepEqual(tokens.colors.background.modes, { light: '#FFFFFF', dark: '#00000080' });
+      assert.equal(tokens.colors.background.value, '#00000080');
+      assert.equal(tokens.colors.background.source.collection, 'Theme');
+
+      // Single-mode collections have no modes; scopes decide the type
+      assert.deepEqual(pick(tokens.spacing.md), { value: '16px', type: 'dimension', modes: undefined });
+      assert.deepEqual(pick(tokens.ratios.golden), { value: 1.618, type: 'number', modes: undefined });
+
+      assert.deepEqual(tokens.metadata.modes, [
+        { collection: 'Theme', modes: ['light', 'dark'], defaultMode: 'dark' },
+        { collection: 'Dimensions', modes: ['value'], defaultMode: 'value' }
+      ]);
+    });
+
+    await test('Builds themes from one multi-mode collection', async () => {
+      const tokens = normalizeTokens({
+        name: 'Themes',
+        variables: {
+          'VariableID:bg': variable('VariableID:bg', 'colors/background', 'COLOR', 'theme', {
+            'theme/light': { r: 1, g: 1, b: 1, a: 1 },
+            'theme/dark': { r: 0, g: 0, b: 0, a: 1 }
+          }),
+          'VariableID:gap': variable('VariableID:gap', 'spacing/md', 'FLOAT', 'density', {
+            'density/compact': 8,
+            'density/comfortable': 16
+          }, ['GAP'])
+        },
+        variableCollections: {
+          theme: collection('theme', 'Theme', ['Light', 'Dark']),
+          density: collection('density', 'Density', ['Compact', 'Comfortable'])
+        }
+      });
+
+      // Modes are not combined across collections: the second collection is ignored
+      assert.deepEqual(getThemes(tokens), [{ name: 'light', isDefault: true }, { name: 'dark', isDefault: false }]);
+
+      const dark = resolveThemeTokens(tokens, 'dark');
+      assert.equal(dark.colors.background.value, '#000000');
+      assert.equal(dark.spacing.md.value, '8px', 'tokens of other collections keep their default value');
+    });
+
+    await test('Keeps variable aliases as references', async () => {
+      const tokens = normalizeTokens({
+        name: 'Aliases',
+        variables: {
+          'VariableID:blue': variable('VariableID:blue', 'colors/blue/500', 'COLOR', 'primitives', {
+            'primitives/value': { r: 0, g: 0, b: 1, a: 1 }
+          }),
+          'VariableID:link': variable('VariableID:link', 'colors/link', 'COLOR', 'theme', {
+            'theme/light': { type: 'VARIABLE_ALIAS', id: 'VariableID:blue' },
+            'theme/dark': { type: 'VARIABLE_ALIAS', id: 'VariableID:missing' }
+          })
+        },
+        variableCollections: {
+          primitives: collection('primitives', 'Primitives', ['Value']),
+          theme: collection('theme', 'Theme', ['Light', 'Dark'])
+        }
+      });
+
+      assert.equal(tokens.colors.link.value, '{colors.blue.500}');
+      assert.deepEqual(tokens.colors.link.modes, { light: '{colors.blue.500}', dark: undefined });
+    });
+
+    await test('Turns text styles into composite typography tokens', async () => {
+      const tokens = normalizeTokens({
+        name: 'Text styles',
+        styles: {
+          text: [
+            { key: 'size', name: 'fontSize/body', fontSize: 16 },
+            { key: 'family', name: 'fontFamily/base', fontFamily: 'Inter' },
+            { key: 'h1', name: 'heading/h1', fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40, letterSpacing: -0.504 },
+            { key: 'body', name: 'body/regular', fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24 }
+          ]
+        }
+      });
+
+      // Matching atoms are shared; the rest are created for the text style
+      assert.deepEqual(tokens.typography.styles.body.regular.value, {
+        fontFamily: '{typography.fontFamily.base}',
+        fontSize: '{typography.fontSize.body}',
+        fontWeight: '{typography.fontWeight.body-regular}',
+        lineHeight: '{typography.lineHeight.body-regular}'
+      });
+      assert.equal(tokens.typography.styles.heading.h1.type, 'typography');
+      assert.equal(tokens.typography.styles.heading.h1.value.fontSize, '{typography.fontSize.heading-h1}');
+
+      // Line heights become ratios of the font size; letter spacing keeps px
+      assert.equal(tokens.typography.lineHeight['body-regular'].value, '1.50');
+      assert.equal(tokens.typography.lineHeight['heading-h1'].value, '1.25');
+      assert.equal(tokens.typography.letterSpacing['heading-h1'].value, '-0.5px');
+      assert.equal(tokens.typography.fontSize['heading-h1'].value, '32px');
+    });
+
+    await test('Converts fills to colors and CSS gradients', async () => {
+      const red = { r: 1, g: 0, b: 0, a: 1 };
+      const blue = { r: 0, g: 0, b: 1, a: 1 };
+      const stops = [{ color: red, position: 0 }, { color: blue, position: 1 }];
+
+      const tokens = normalizeTokens({
+        name: 'Fills',
+        styles: {
+          colors: [
+            { key: 'scrim', name: 'scrim', fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 0.5 }] },
+            { key: 'hidden', name: 'hidden', fills: [{ type: 'SOLID', color: red, visible: false }, { type: 'IMAGE' }] },
+            {
+              key: 'linear',
+              name: 'gradient/linear',
+              fills: [{
+                type: 'GRADIENT_LINEAR',
+                gradientHandlePositions: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }],
+                gradientStops: stops
+              }]
+            },
+            {
+              key: 'radial',
+              name: 'gradient/radial',
+              fills: [{
+                type: 'GRADIENT_RADIAL',
+                gradientHandlePositions: [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }],
+                gradientStops: stops
+              }]
+            },
+            {
+              key: 'stack',
+              name: 'gradient/stack',
+              fills: [{ type: 'SOLID', color: red }, { type: 'SOLID', color: blue, opacity: 0.25 }]
+            }
+          ]
+        }
+      });
+
+      assert.deepEqual(pick(tokens.colors.scrim), { value: '#00000080', type: 'color', modes: undefined });
+      assert.equal(tokens.colors.hidden, undefined, 'styles without a visible solid or gradient paint are skipped');
+
+      assert.equal(tokens.colors.gradient.linear.type, 'gradient');
+      assert.equal(tokens.colors.gradient.linear.value, 'linear-gradient(90deg, #FF0000 0%, #0000FF 100%)');
+      assert.equal(tokens.colors.gradient.radial.value, 'radial-gradient(50% 50% at 50% 50%, #FF0000 0%, #0000FF 100%)');
+
+      // Stacked paints are listed topmost (last in Figma) first
+      assert.equal(tokens.colors.gradient.stack.value,
+        'linear-gradient(#0000FF40, #0000FF40), linear-gradient(#FF0000, #FF0000)');
+    });
+
+    await test('Splits effect styles into shadow and blur tokens', async () => {
+      const black = (a) => ({ r: 0, g: 0, b: 0, a });
+      const tokens = normalizeTokens({
+        name: 'Effects',
+        styles: {
+          effects: [
+            {
+              key: 'md',
+              name: 'shadow/md',
+              effects: [
+                { type: 'DROP_SHADOW', color: black(0.1), offset: { x: 0, y: 4 }, radius: 6, spread: -1 },
+                { type: 'DROP_SHADOW', color: black(0.06), offset: { x: 0, y: 2 }, radius: 4, spread: -1 },
+                { type: 'INNER_SHADOW', color: black(0.05), offset: { x: 0, y: 1 }, radius: 2, visible: false }
+              ]
+            },
+            {
+              key: 'glass',
+              name: 'glass',
+              effects: [
+                { type: 'INNER_SHADOW', color: black(0.2), offset: { x: 0, y: 1 }, radius: 0 },
+                { type: 'BACKGROUND_BLUR', radius: 12 }
+              ]
+            },
+            { key: 'none', name: 'none', effects: [{ type: 'DROP_SHADOW', color: black(1), visible: false }] }
+          ]
+        }
+      });
+
+      // Hidden effects are dropped; the topmost shadow (last in Figma) comes first
+      const md = tokens.effects.shadow.md;
+      assert.equal(md.type, 'shadow');
+      assert.equal(shadowToCss(md.value), '0px 2px 4px -1px #0000000F, 0px 4px 6px -1px #0000001A');
+
+      // Styles with several kinds of effect get one token per kind
+      assert.equal(shadowToCss(tokens.effects.glass.shadow.value), 'inset 0px 1px 0px 0px #00000033');
+      assert.deepEqual(pick(tokens.effects.glass['background-blur']), { value: '12px', type: 'blur', modes: undefined });
+      assert.equal(tokens.effects.none, undefined, 'styles with only hidden effects are skipped');
+    });
+
+    await test('Reads DTCG typography, gradients and modes', async () => {
+      const tokens = normalizeDtcgTokens({
+        font: {
+          body: {
+            $type: 'typography',
+            $value: {
+              fontFamily: ['Inter', 'Helvetica Neue', 'sans-serif'],
+              fontSize: { value: 16, unit: 'px' },
+              fontWeight: 400,
+              lineHeight: 1.5,
+              letterSpacing: '{spacing.none}'
+            }
+          }
+        },
+        gradient: {
+          $type: 'gradient',
+          fade: {
+            $value: [
+              { color: { colorSpace: 'srgb', components: [1, 0, 0] }, position: 0 },
+              { color: '#0000FF', position: 1 }
+            ]
+          }
+        },
+        surface: {
+          $value: '#FFFFFF',
+          $type: 'color',
+          $extensions: { mode: { light: '#FFFFFF', dark: '#111111' }, 'org.example': { owner: 'web' } }
+        },
+        border: { hairline: { $value: { color: '#000000', width: '1px', style: 'solid' }, $type: 'strokeStyle' } }
+      });
+
+      assert.deepEqual(tokens.font.body.value, {
+        fontFamily: "Inter, 'Helvetica Neue', sans-serif",
+        fontSize: '16px',
+        fontWeight: '400',
+        lineHeight: '1.5',
+        letterSpacing: '{spacing.none}'
+      });
+      assert.equal(tokens.gradient.fade.value, 'linear-gradient(#FF0000 0%, #0000FF 100%)');
+      assert.deepEqual(tokens.surface.modes, { light: '#FFFFFF', dark: '#111111' });
+      assert.equal(tokens.surface.extensions, undefined, 'unknown extensions are dropped');
+      assert.equal(tokens.border.hairline, undefined, 'stroke styles are skipped');
+    });
+
+    await test('Reads the DTCG intermediate file back to the same tokens', async () => {
+      const tokens = normalizeTokens(await fetchFileStyles());
+      const dtcg = toDtcgTokens(tokens);
+
+      // Modes go to the pipeline's namespace, not a bare $extensions.mode
+      const themed = dtcg.colors.background.default.$extensions;
+      assert.equal(themed.mode, undefined);
+      assert.deepEqual(themed['com.design-token-pipeline'].modes, { light: '#FFFFFF', dark: '#111827' });
+
+      const roundTrip = normalizeDtcgTokens(JSON.parse(JSON.stringify(dtcg)));
+      const before = flattenTokens(tokens);
+      const after = flattenTokens(roundTrip);
+
+      assert.deepEqual(Object.keys(after), Object.keys(before));
+      for (const [tokenPath, token] of Object.entries(before)) {
+        assert.deepEqual(summarize(after[tokenPath]), summarize(token), tokenPath);
+      }
+      assert.deepEqual(roundTrip.metadata.modes.map(collection => collection.modes), [['light', 'dark']]);
+    });
+
+    console.log(chalk.green('\n✅ All normalization tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Helper: Figma variable in one collection
+ */
+function variable(id, name, resolvedType, collectionId, valuesByMode, scopes = ['ALL_SCOPES']) {
+  return { id, key: `key-${id}`, name, resolvedType, scopes, variableCollectionId: collectionId, valuesByMode };
+}
+
+/**
+ * Helper: Figma variable collection; mode IDs are "<collection id>/<lowercase mode name>"
+ */
+function collection(id, name, modeNames, defaultModeId) {
+  const modes = modeNames.map(modeName => ({ modeId: `${id}/${modeName.toLowerCase()}`, name: modeName }));
+  return { id, name, modes, defaultModeId: defaultModeId || modes[0].modeId };
+}
+
+/**
+ * Helper: The value, type and modes of a token
+ */
+function pick({ value, type, modes }) {
+  return { value, type, modes };
+}
+
+/**
+ * Helper: Flatten a token tree into dot-separated path → token
+ */
+function flattenTokens(obj, path = [], tokens = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    if (key === 'metadata' || !value || typeof value !== 'object') continue;
+
+    if ('value' in value) {
+      tokens[[...path, key].join('.')] = value;
+    } else {
+      flattenTokens(value, [...path, key], tokens);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Helper: What a round trip must keep; numbers come back as JSON numbers
+ */
+function summarize({ value, type, modes, source }) {
+  return {
+    value: type === 'number' ? Number(value) : value,
+    type,
+    modes,
+    figmaKey: source?.figmaKey,
+    figmaName: source?.figmaName
+  };
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
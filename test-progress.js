@@ -0,0 +1,158 @@
+/**
+ * Test script for pipeline progress events
+ * Runs the pipeline with a progress listener and checks the event sequence
+ * the demo depends on (step-start, step-succeed, step-fail, pipeline-complete,
+ * pipeline-fail) and its payloads, then streams a run from the server's
+ * GET /api/run-pipeline/stream endpoint and checks the Server-Sent Events
+ * Run with: node test-progress.js
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { spawn } from 'child_process';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { runPipeline } from './src/pipeline.js';
+
+const OUTPUT_DIR = 'output/test-progress';
+const RUNS_DIR = path.join('output', 'runs');
+const PORT = 3917;
+
+const STEPS = ['extract', 'validate', 'write', 'config', 'build', 'statistics', 'verify'];
+
+async function main() {
+  console.log('\n🧪 Testing Pipeline Progress Events\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  try {
+    await test('Emits a start and a success event per step, then pipeline-complete', async () => {
+      const events = [];
+      await runPipeline({ outputDir: OUTPUT_DIR, force: true, onProgress: event => events.push(event) });
+
+      assert.deepEqual(events.map(event => [event.type, event.step]), [
+        ...STEPS.flatMap(step => [['step-start', step], ['step-succeed', step]]),
+        ['pipeline-complete', undefined]
+      ]);
+
+      // Step events carry the step's position and label; success events its results
+      const validate = events.filter(event => event.step === 'validate');
+      assert.deepEqual(validate.map(({ index, total, label }) => ({ index, total, label })), [
+        { index: 2, total: 7, label: 'Validate tokens' },
+        { index: 2, total: 7, label: 'Validate tokens' }
+      ]);
+      assert.equal(typeof validate[1].duration, 'number');
+      assert.ok(events.every(event => !Number.isNaN(Date.parse(event.timestamp))));
+
+      const complete = events.at(-1);
+      assert.equal(typeof complete.duration, 'number');
+      assert.ok(complete.tokenCount > 0 && complete.fileCount > 0);
+      assert.deepEqual(complete.version, JSON.parse(await fs.readFile(path.join(OUTPUT_DIR, 'pipeline-results.json'), 'utf-8')).version);
+    });
+
+    await test('Emits step-fail for the failing step, then pipeline-fail', async () => {
+      const events = [];
+      const tokens = { colors: { brand: { value: 'red', type: 'color' } } };
+
+      await assert.rejects(runPipeline({
+        method: 'payload',
+        tokens,
+        outputDir: OUTPUT_DIR,
+        onProgress: event => events.push(event)
+      }), /validation failed/);
+
+      assert.deepEqual(events.map(event => [event.type, event.step]), [
+        ['step-start', 'extract'],
+        ['step-succeed', 'extract'],
+        ['step-start', 'validate'],
+        ['step-fail', 'validate'],
+        ['pipeline-fail', undefined]
+      ]);
+      assert.equal(events[3].index, 2);
+      assert.equal(typeof events[3].duration, 'number');
+      assert.match(events[4].error, /validation failed/);
+    });
+
+    await test('Streams a run\'s progress as Server-Sent Events', async () => {
+      const server = await startServer();
+      let events = [];
+
+      try {
+        const response = await fetch(`http://localhost:${PORT}/api/run-pipeline/stream`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        // The stream ends when the run has finished
+        events = parseEvents(await response.text());
+      } finally {
+        server.kill();
+        for (const runId of new Set(events.map(event => event.runId))) {
+          await fs.rm(path.join(RUNS_DIR, runId), { recursive: true, force: true });
+        }
+      }
+
+      assert.deepEqual(events.map(event => [event.name, event.step]), [
+        ['run-queued', undefined],
+        ...STEPS.flatMap(step => [['step-start', step], ['step-succeed', step]]),
+        ['pipeline-complete', undefined]
+      ]);
+
+      // Each event's name is its type, and every event is tagged with the run ID
+      assert.ok(events.every(event => event.name === event.type));
+      assert.equal(new Set(events.map(event => event.runId)).size, 1);
+      assert.equal(events[0].position, 0);
+    });
+
+    console.log(chalk.green('\n✅ All progress event tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Helper: Start the demo server and wait until it listens
+ */
+function startServer() {
+  const server = spawn(process.execPath, ['server.js'], { env: { ...process.env, PORT: String(PORT) } });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      server.kill();
+      reject(new Error('Server did not start'));
+    }, 20000);
+
+    server.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    });
+    server.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Helper: Parse a Server-Sent Events stream into its events' data, plus the event name
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const name = block.match(/^event: (.+)$/m)[1];
+    return { name, ...JSON.parse(block.match(/^data: (.+)$/m)[1]) };
+  });
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
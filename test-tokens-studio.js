@@ -0,0 +1,209 @@
+/**
+ * Test script for the Tokens Studio importer
+ * Normalizes small Tokens Studio exports and checks how token sets are
+ * ordered and overridden, which sets each theme uses, how `$themes` become
+ * per-mode values and mode collections (including themes in several groups),
+ * how typography tokens become composite typography tokens, and that a
+ * directory export reads the same as a single file
+ * Run with: node test-tokens-studio.js
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { normalizeTokensStudio, fetchTokensStudioTokens } from './src/extract/tokens-studio.js';
+import { getThemes } from './src/transform/themes.js';
+
+const CORE = {
+  colors: {
+    blue: { value: '#2563EB', type: 'color' },
+    gray: { value: '#6B7280', type: 'color' }
+  },
+  spacing: { md: { value: '16', type: 'spacing' } }
+};
+
+const LIGHT = { surface: { value: '#FFFFFF', type: 'color' }, text: { value: '{colors.gray}', type: 'color' } };
+const DARK = { surface: { value: '#111827', type: 'color' }, text: { value: '#F9FAFB', type: 'color' } };
+
+const THEMES = [
+  { id: 'light', name: 'Light', selectedTokenSets: { core: 'source', 'theme/light': 'enabled', 'theme/dark': 'disabled' } },
+  { id: 'dark', name: 'Dark', selectedTokenSets: { core: 'source', 'theme/light': 'disabled', 'theme/dark': 'enabled' } }
+];
+
+async function main() {
+  console.log('\n🧪 Testing Tokens Studio Import\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tokens-studio-'));
+
+  try {
+    await test('Merges sets in tokenSetOrder, later sets overriding earlier ones', async () => {
+      const tokens = normalizeTokensStudio({
+        brand: { colors: { blue: { value: '#1D4ED8', type: 'color' } } },
+        extra: { colors: { blue: { value: '#000000', type: 'color' } } },
+        core: CORE,
+        $metadata: { tokenSetOrder: ['core', 'brand'] }
+      });
+
+      // Sets missing from tokenSetOrder come last
+      assert.deepEqual(tokens.metadata.tokenSets, ['core', 'brand', 'extra']);
+      assert.equal(tokens.colors.blue.value, '#000000');
+      assert.equal(tokens.colors.blue.source.set, 'extra');
+
+      // Types are mapped to the pipeline's; unitless spacing gets px
+      assert.deepEqual([tokens.spacing.md.value, tokens.spacing.md.type], ['16px', 'dimension']);
+      assert.equal(tokens.metadata.modes, undefined, 'without themes there are no modes');
+    });
+
+    await test('Builds each theme from its enabled and source sets', async () => {
+      const tokens = normalizeTokensStudio({
+        core: CORE,
+        'theme/light': LIGHT,
+        'theme/dark': DARK,
+        unused: { colors: { red: { value: '#DC2626', type: 'color' } } },
+        $themes: THEMES,
+        $metadata: { tokenSetOrder: ['core', 'theme/light', 'theme/dark'] }
+      });
+
+      // Source sets are built too, since other tokens reference them; sets no theme uses are not
+      assert.equal(tokens.colors.blue.value, '#2563EB');
+      assert.equal(tokens.colors.red, undefined);
+
+      // Values that differ between themes become modes; the first theme is the default
+      assert.deepEqual(tokens.surface.modes, { light: '#FFFFFF', dark: '#111827' });
+      assert.equal(tokens.surface.value, '#FFFFFF');
+      assert.deepEqual(tokens.text.modes, { light: '{colors.gray}', dark: '#F9FAFB' });
+      assert.equal(tokens.colors.blue.modes, undefined, 'values shared by every theme have no modes');
+
+      assert.deepEqual(tokens.metadata.modes, [{ collection: 'Themes', modes: ['light', 'dark'], defaultMode: 'light' }]);
+      assert.deepEqual(getThemes(tokens), [{ name: 'light', isDefault: true }, { name: 'dark', isDefault: false }]);
+    });
+
+    await test('Keeps theme groups apart and warns that only the first is built', async () => {
+      const tokens = normalizeTokensStudio({
+        core: CORE,
+        'theme/light': LIGHT,
+        'theme/dark': DARK,
+        'brand/a': { accent: { value: '#7C3AED', type: 'color' } },
+        'brand/b': { accent: { value: '#059669', type: 'color' } },
+        $themes: [
+          ...THEMES.map(theme => ({ ...theme, group: 'Mode' })),
+          { id: 'a', name: 'Light', group: 'Brand', selectedTokenSets: { core: 'source', 'brand/a': 'enabled' } },
+          { id: 'b', name: 'B', group: 'Brand', selectedTokenSets: { core: 'source', 'brand/b': 'enabled' } }
+        ]
+      });
+
+      // Themes that share a name are told apart by their group
+      assert.deepEqual(tokens.metadata.modes, [
+        { collection: 'Mode', modes: ['mode-light', 'dark'], defaultMode: 'mode-light' },
+        { collection: 'Brand', modes: ['brand-light', 'b'], defaultMode: 'brand-light' }
+      ]);
+      assert.deepEqual(tokens.accent.modes, { 'brand-light': '#7C3AED', b: '#059669' });
+
+      const logged = [];
+      const { log } = console;
+      console.log = (...args) => logged.push(args.join(' '));
+      let themes;
+      try {
+        themes = getThemes(tokens);
+      } finally {
+        console.log = log;
+      }
+
+      assert.deepEqual(themes.map(theme => theme.name), ['mode-light', 'dark']);
+      assert.ok(logged.some(line => line.includes('ignoring the modes of "Brand" (brand-light, b)')), logged.join('\n'));
+    });
+
+    await test('Turns typography tokens into composite typography tokens', async () => {
+      const tokens = normalizeTokensStudio({
+        core: {
+          fontFamilies: { body: { value: ['Inter', 'sans-serif'], type: 'fontFamilies' } },
+          typography: {
+            body: {
+              value: {
+                fontFamily: '{fontFamilies.body}',
+                fontWeight: 'Semi Bold',
+                fontSize: '16',
+                lineHeight: '150%',
+                letterSpacing: '-2%',
+                textCase: 'none'
+              },
+              type: 'typography'
+            },
+            caption: { value: { fontSize: 12, lineHeight: 'AUTO' }, type: 'typography' },
+            alias: { value: '{typography.body}', type: 'typography' }
+          },
+          layout: { card: { value: { fill: '#FFFFFF' }, type: 'composition' } }
+        }
+      });
+
+      assert.deepEqual(tokens.typography.body, {
+        value: { fontFamily: '{fontFamilies.body}', fontSize: '16px', fontWeight: '600', lineHeight: '1.5', letterSpacing: '-0.02em' },
+        type: 'typography',
+        description: '',
+        source: { format: 'tokens-studio', set: 'core', path: 'typography.body' }
+      });
+      assert.deepEqual(tokens.typography.caption.value, { fontSize: '12px', lineHeight: 'normal' });
+      assert.equal(tokens.typography.alias.value, '{typography.body}');
+      assert.equal(tokens.fontFamilies.body.value, 'Inter, sans-serif');
+
+      // Composition tokens are still skipped
+      assert.equal(tokens.layout, undefined);
+    });
+
+    await test('Reads a directory export like the single-file export', async () => {
+      const files = {
+        'core.json': CORE,
+        'theme/light.json': LIGHT,
+        'theme/dark.json': DARK,
+        '$themes.json': THEMES,
+        '$metadata.json': { tokenSetOrder: ['core', 'theme/light', 'theme/dark'] }
+      };
+      for (const [file, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(exportDir, file)), { recursive: true });
+        await fs.writeFile(path.join(exportDir, file), JSON.stringify(content));
+      }
+
+      const fromDirectory = await fetchTokensStudioTokens(exportDir);
+      const fromFile = normalizeTokensStudio({
+        core: CORE,
+        'theme/light': LIGHT,
+        'theme/dark': DARK,
+        $themes: THEMES,
+        $metadata: files['$metadata.json']
+      });
+
+      // Nested files give set names like "theme/light"
+      assert.deepEqual(fromDirectory.metadata.tokenSets, ['core', 'theme/light', 'theme/dark']);
+      assert.deepEqual(withoutMetadata(fromDirectory), withoutMetadata(fromFile));
+      assert.deepEqual(fromDirectory.metadata.modes, fromFile.metadata.modes);
+    });
+
+    console.log(chalk.green('\n✅ All Tokens Studio tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(exportDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Helper: A token tree without its metadata
+ */
+function withoutMetadata({ metadata, ...tokens }) {
+  return tokens;
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
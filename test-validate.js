@@ -0,0 +1,213 @@
+/**
+ * Test script for token validation and the contrast audit
+ * Validates small token trees and checks that each problem is reported
+ * with its code and token path, and that contrast pairs are checked in
+ * every theme against the WCAG thresholds
+ * Run with: node test-validate.js
+ */
+
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { validateTokens } from './src/validate/validate-tokens.js';
+import { normalizeTokens } from './src/extract/normalize.js';
+import { mergeFileTokens } from './src/extract/merge-files.js';
+import { auditContrast, contrastRatio } from './src/validate/contrast.js';
+
+async function main() {
+  console.log('\n🧪 Testing Token Validation\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  try {
+    await test('Reports paths that share a CSS name', async () => {
+      const report = validateTokens({
+        typography: {
+          fontSize: { base: { value: '16px', type: 'dimension' } },
+          'font-size': { base: { value: '14px', type: 'dimension' } }
+        }
+      });
+
+      assert.deepEqual(codes(report.errors), ['duplicate-path']);
+      assert.equal(report.errors[0].path, 'typography.font-size.base');
+      assert.match(report.errors[0].message, /typography\.fontSize\.base/);
+    });
+
+    await test('Reports malformed values in every mode', async () => {
+      const report = validateTokens({
+        colors: {
+          ok: { value: 'rgba(17, 24, 39, 0.5)', type: 'color' },
+          named: { value: 'red', type: 'color' },
+          themed: { value: '#FFFFFF', type: 'color', modes: { light: '#FFFFFF', dark: '#12345' } }
+        },
+        spacing: {
+          none: { value: '0', type: 'dimension' },
+          unitless: { value: '16', type: 'dimension' },
+          empty: { value: '', type: 'dimension' }
+        },
+        blur: { soft: { value: '8', type: 'blur' } },
+        gradient: { flat: { value: '#FFFFFF', type: 'gradient' } },
+        shadow: { md: { value: [{ color: '#000000', offsetX: '0', offsetY: '4', blur: '6px', spread: '0px' }], type: 'shadow' } },
+        opacity: { half: { value: 0.5 } }
+      });
+
+      assert.deepEqual(codes(report.errors), [
+        'invalid-color', 'invalid-color', 'invalid-dimension', 'missing-value',
+        'invalid-dimension', 'invalid-gradient', 'invalid-shadow'
+      ]);
+      assert.match(report.errors[1].message, /\(modes\.dark\)$/);
+      assert.match(report.errors[4].message, /^Blur radius "8"/);
+      assert.deepEqual(codes(report.warnings), ['missing-type']);
+      assert.equal(report.valid, false);
+    });
+
+    await test('Reports broken and circular references', async () => {
+      const report = validateTokens({
+        colors: {
+          base: { value: '#6366F1', type: 'color' },
+          alias: { value: '{colors.base}', type: 'color' },
+          broken: { value: '{colors.missing}', type: 'color' },
+          a: { value: '{colors.b}', type: 'color' },
+          b: { value: '{colors.a}', type: 'color' }
+        },
+        typography: {
+          body: { value: { fontFamily: '{typography.fontFamily.missing}' }, type: 'typography' }
+        }
+      });
+
+      assert.deepEqual(report.errors.map(error => [error.code, error.path]), [
+        ['broken-reference', 'colors.broken'],
+        ['circular-reference', 'colors.a'],
+        ['circular-reference', 'colors.b'],
+        ['broken-reference', 'typography.body']
+      ]);
+    });
+
+    await test('Reports Figma names that normalize to the same path', async () => {
+      const tokens = normalizeTokens({
+        name: 'Collisions',
+        styles: {
+          colors: [
+            { key: 'a', name: 'primary/500', value: '#6366F1' },
+            { key: 'b', name: 'primary/500', value: '#4F46E5' },
+            { key: 'c', name: 'brand', value: '#000000' },
+            { key: 'd', name: 'brand/accent', value: '#FFFFFF' }
+          ]
+        }
+      });
+
+      // The last definition is kept
+      assert.equal(tokens.colors.primary['500'].value, '#4F46E5');
+      assert.equal(tokens.colors.brand.accent.value, '#FFFFFF');
+
+      const report = validateTokens(tokens);
+      assert.deepEqual(codes(report.errors), ['duplicate-path', 'duplicate-path']);
+      assert.deepEqual(report.errors.map(error => error.path), ['colors.primary.500', 'colors.brand']);
+      assert.match(report.errors[0].message, /"primary\/500" and "primary\/500"/);
+      assert.match(report.errors[1].message, /"brand" and "brand\/accent"/);
+    });
+
+    await test('Reports Figma name collisions from every merged file', async () => {
+      const colliding = normalizeTokens({
+        name: 'Brand',
+        styles: {
+          colors: [
+            { key: 'a', name: 'accent', value: '#6366F1' },
+            { key: 'b', name: 'accent', value: '#4F46E5' }
+          ]
+        }
+      });
+      const clean = normalizeTokens({ name: 'Core', styles: { colors: [{ key: 'c', name: 'neutral', value: '#000000' }] } });
+
+      // Every --figma run merges, even a single file
+      const single = validateTokens(mergeFileTokens([{ fileKey: 'brand', tokens: colliding }]));
+      assert.deepEqual(codes(single.errors), ['duplicate-path']);
+
+      const report = validateTokens(mergeFileTokens([
+        { fileKey: 'core', tokens: clean },
+        { fileKey: 'brand', tokens: colliding }
+      ]));
+      assert.deepEqual(report.errors.map(error => [error.code, error.path, error.source.fileKey]), [
+        ['duplicate-path', 'colors.accent', 'brand']
+      ]);
+      assert.match(report.errors[0].message, /"accent" and "accent" normalize to this path in file brand$/);
+    });
+
+    await test('Computes WCAG contrast ratios', async () => {
+      assert.equal(contrastRatio('#000000', '#FFFFFF'), 21);
+      assert.equal(contrastRatio('#FFF', 'rgb(255, 255, 255)'), 1);
+      assert.equal(round(contrastRatio('#767676', '#FFFFFF')), 4.54);
+
+      // Translucent foregrounds are composited over the background
+      assert.equal(round(contrastRatio('#00000080', '#FFFFFF')), round(contrastRatio('#7F7F7F', '#FFFFFF')));
+    });
+
+    await test('Audits contrast pairs in every theme', async () => {
+      const tokens = {
+        colors: {
+          neutral: { white: { value: '#FFFFFF', type: 'color' }, black: { value: '#000000', type: 'color' } },
+          text: {
+            default: { value: '{colors.neutral.black}', type: 'color', modes: { light: '{colors.neutral.black}', dark: '#FFFFFF' } },
+            muted: { value: '#767676', type: 'color' }
+          },
+          background: {
+            page: { value: '#FFFFFF', type: 'color', modes: { light: '#FFFFFF', dark: '#111111' } }
+          },
+          warning: { value: '#F59E0B', type: 'color' }
+        }
+      };
+
+      const audit = auditContrast(tokens, {
+        pairs: [
+          { foreground: 'colors.text.*', background: 'colors.background.page' },
+          { foreground: 'colors.warning', background: 'colors.neutral.white', largeText: true }
+        ]
+      });
+
+      // References are followed; pairs with per-mode values are checked per theme
+      assert.deepEqual(audit.results.map(result => [result.foreground, result.theme, result.ratio]), [
+        ['colors.text.default', 'light', 21],
+        ['colors.text.default', 'dark', 18.88],
+        ['colors.text.muted', 'light', 4.54],
+        ['colors.text.muted', 'dark', 4.16],
+        ['colors.warning', null, 2.15]
+      ]);
+      assert.deepEqual(audit.violations.map(result => [result.foreground, result.theme]), [
+        ['colors.text.muted', 'dark'],
+        ['colors.warning', null]
+      ]);
+      assert.equal(audit.violations[1].required, 3);
+
+      const aaa = auditContrast(tokens, { pairs: [{ foreground: 'colors.text.muted', background: 'colors.neutral.white' }], level: 'AAA' });
+      assert.deepEqual(aaa.violations.map(result => result.required), [7]);
+    });
+
+    console.log(chalk.green('\n✅ All validation tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Helper: Round to two decimals, as the audit reports ratios
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: Issue codes of a report list
+ */
+function codes(issues) {
+  return issues.map(issue => issue.code);
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();
@@ -0,0 +1,86 @@
+/**
+ * Test script for watch mode
+ * Checks what watch mode watches (the token input, every build code file the
+ * build cache hashes, and a --dtcg= or --tokens-studio= source) and which
+ * pipeline stage a change to each file reruns
+ * Run with: node test-watch.js
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import assert from 'assert/strict';
+import chalk from 'chalk';
+import { getWatchTargets, getChangeStage } from './src/watch.js';
+import { getBuildCodeFiles } from './src/cache/build-cache.js';
+
+async function main() {
+  console.log('\n🧪 Testing Watch Mode\n');
+  console.log(chalk.gray('─'.repeat(50)));
+
+  const exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tokens-studio-'));
+
+  try {
+    await test('Watches the input and every build code file', async () => {
+      const targets = await getWatchTargets([]);
+
+      assert.deepEqual(targets.map(target => [target.dir, target.stage]), [
+        ['input', 'extract'],
+        ['.', 'build'],
+        ['src/transform', 'build'],
+        ['src/validate', 'build'],
+        ['src/extract', 'build'],
+        ['src/utils', 'build']
+      ]);
+
+      // Modules the formats import rebuild like the formats themselves
+      for (const file of await getBuildCodeFiles()) {
+        assert.equal(getChangeStage(targets, file), 'build', file);
+      }
+    });
+
+    await test('Maps each changed file to the stage it reruns', async () => {
+      const targets = await getWatchTargets([]);
+
+      assert.equal(getChangeStage(targets, 'input/sample-tokens.json'), 'extract');
+      assert.equal(getChangeStage(targets, path.resolve('src/extract/normalize.js')), 'build');
+
+      // Files the build doesn't import, and files outside the watched directories, rerun nothing
+      assert.equal(getChangeStage(targets, 'src/validate/validate-tokens.js'), null);
+      assert.equal(getChangeStage(targets, 'src/transform/notes.md'), null);
+      assert.equal(getChangeStage(targets, 'input/nested/tokens.json'), null);
+      assert.equal(getChangeStage(targets, 'README.md'), null);
+    });
+
+    await test('Watches a --dtcg= file or --tokens-studio= directory', async () => {
+      const dtcg = await getWatchTargets(['--dtcg=design/tokens.json']);
+      assert.equal(dtcg.at(-1).dir, path.resolve('design'));
+      assert.equal(getChangeStage(dtcg, 'design/tokens.json'), 'extract');
+      assert.equal(getChangeStage(dtcg, 'design/other.json'), null);
+
+      // An export directory is watched recursively
+      const tokensStudio = await getWatchTargets([`--tokens-studio=${exportDir}`]);
+      assert.equal(tokensStudio.at(-1).recursive, true);
+      assert.equal(getChangeStage(tokensStudio, path.join(exportDir, 'core/colors.json')), 'extract');
+      assert.equal(getChangeStage(tokensStudio, path.join(exportDir, 'notes.txt')), null);
+    });
+
+    console.log(chalk.green('\n✅ All watch mode tests passed!\n'));
+  } catch (error) {
+    console.error(chalk.red('\n❌ Error:'), error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(exportDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run one test, logging its name and result
+ */
+async function test(name, fn) {
+  console.log(chalk.blue(`\n▶ ${name}`));
+  await fn();
+  console.log(chalk.green(`✓ ${name}`));
+}
+
+main();